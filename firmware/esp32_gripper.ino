@@ -14,6 +14,8 @@
  * - L298N/BTS7960 IN2 -> Pin 14
  * - FSR Sensor (Grip) -> Pin 34 (Analog)
  * - Current Sensor    -> Pin 35 (Analog)
+ * - Limit Switch Open   -> Pin 26 (to GND, pressed when fully open)
+ * - Limit Switch Closed -> Pin 27 (to GND, pressed when fully closed)
  */
 
 #include <WiFi.h>
@@ -29,6 +31,9 @@ const char* wifi_password = "YOUR_WIFI_PASSWORD";     // <--- Replace with your
 const String supabase_url = "https://bjfamnxlqhjftrasqvpr.supabase.co"; // <--- Already configured
 const String supabase_key = "sb_publishable_2JzXr_bXZv83mynrDL_wKw_vsYtUo0h"; // <--- Already configured
 
+const String device_id = "gripper-01"; // <--- Must match a row in the 'devices' table
+const String device_key = "YOUR_DEVICE_KEY"; // <--- Secret stored (hashed) in 'device_keys' for this unit
+
 // ==========================================
 // 2. PIN CONFIGURATION
 // ==========================================
@@ -37,6 +42,32 @@ const int PIN_MOTOR_IN1 = 13;
 const int PIN_MOTOR_IN2 = 14;
 const int PIN_FSR_SENSE = 34; 
 const int PIN_AMP_SENSE = 35;
+const int PIN_LIMIT_OPEN = 26;
+const int PIN_LIMIT_CLOSED = 27;
+
+// Time for a full open->closed stroke at 100% duty; the jaw position is dead-reckoned from it
+const unsigned long FULL_STROKE_MS = 1500;
+
+// Estimated jaw position, 0 = fully open, 100 = fully closed. Re-zeroed by the limit switches.
+float jaw_position_pct = 0;
+
+// Set by an ESTOP command; motion is refused until the dashboard sends REARM
+bool estop_latched = false;
+
+// Measurements of the last runMotor() call, reported with the EXECUTED status. No telemetry
+// is posted while the motor runs, so this is the only record of the current it drew.
+struct MotorRun {
+  bool valid;               // Set by runMotor(), cleared before each command
+  unsigned long run_ms;
+  float peak_current;
+  float mean_current;
+  int peak_fsr;
+};
+MotorRun last_run = { false, 0, 0, 0, 0 };
+
+// Default actuation parameters (0-100%), updated by SET_PARAMS
+int target_torque_pct = 75;   // Grip stops once the FSR reaches this pressure
+int move_speed_pct = 40;      // Motor duty cycle while moving
 
 void setup() {
   Serial.begin(115200);
@@ -45,6 +76,8 @@ void setup() {
   pinMode(PIN_MOTOR_PWM, OUTPUT);
   pinMode(PIN_MOTOR_IN1, OUTPUT);
   pinMode(PIN_MOTOR_IN2, OUTPUT);
+  pinMode(PIN_LIMIT_OPEN, INPUT_PULLUP);
+  pinMode(PIN_LIMIT_CLOSED, INPUT_PULLUP);
   
   // Initial Stop
   stopMotor();
@@ -63,8 +96,7 @@ void loop() {
   int fsr_raw = analogRead(PIN_FSR_SENSE);
   int grip_pressure = map(fsr_raw, 0, 4095, 0, 100); // 0-100%
   
-  int amp_raw = analogRead(PIN_AMP_SENSE);
-  float motor_current = (amp_raw * 3.3 / 4095.0); // Simplified for now
+  float motor_current = readMotorCurrent();
   
   // B. PUSH DATA TO DASHBOARD (Every 1 second)
   sendTelemetry(grip_pressure, motor_current);
@@ -105,15 +137,20 @@ void sendTelemetry(int pressure, float current) {
   http.begin(url);
   http.addHeader("apikey", supabase_key);
   http.addHeader("Authorization", "Bearer " + supabase_key);
+  http.addHeader("x-device-key", device_key);
   http.addHeader("Content-Type", "application/json");
 
   // Create JSON Payload
-  StaticJsonDocument<200> body;
+  StaticJsonDocument<256> body;
+  body["device_id"] = device_id;
   body["fsr_value"] = pressure;
   body["motor_current"] = current;
   body["temperature"] = 26; // Static example, can add sensors later
   body["humidity"] = 55;
   body["battery_pct"] = 92;
+  body["jaw_position"] = (int)round(jaw_position_pct);
+  body["limit_open"] = isLimitOpen();
+  body["limit_closed"] = isLimitClosed();
 
   String json_str;
   serializeJson(body, json_str);
@@ -127,80 +164,190 @@ void sendTelemetry(int pressure, float current) {
 
 void checkRemoteCommands() {
   HTTPClient http;
-  // Fetch the latest "PENDING" command
-  String query = supabase_url + "/rest/v1/commands?status=eq.PENDING&order=created_at.desc&limit=1";
+  // Fetch the most urgent "PENDING" command (STOP/ESTOP/REARM carry a higher priority)
+  String query = supabase_url + "/rest/v1/commands?device_id=eq." + device_id + "&status=eq.PENDING&order=priority.desc,created_at.desc&limit=1&select=id,type,value";
   
   http.begin(query);
   http.addHeader("apikey", supabase_key);
   http.addHeader("Authorization", "Bearer " + supabase_key);
+  http.addHeader("x-device-key", device_key);
   
   int http_code = http.GET();
   if (http_code == 200) {
     String payload = http.getString();
     StaticJsonDocument<500> doc;
-    deserializeJson(doc, payload);
-
-    if (doc.size() > 0) {
+    DeserializationError error = deserializeJson(doc, payload);
+    if (error) {
+      // Never act on a half-parsed row; the command stays PENDING for the next poll
+      Serial.print("[IOT] Command poll not parsed: ");
+      Serial.println(error.c_str());
+    }
+    else if (doc.size() > 0) {
       String command_type = doc[0]["type"];
       int command_id = doc[0]["id"];
+      String command_value = doc[0]["value"] | "";
       
-      executeCommand(command_type, command_id);
+      // Let the dashboard know we picked it up before the motor starts. If it was cancelled
+      // (e-stop, STOP) or timed out since the poll, the guarded update matches nothing: skip it.
+      if (acknowledgeCommand(command_id, "ACKED", nullptr)) {
+        executeCommand(command_type, command_id, command_value);
+      } else {
+        Serial.printf("[IOT] Command %d no longer pending, skipped\n", command_id);
+      }
     }
   }
   http.end();
 }
 
-void executeCommand(String type, int id) {
+void executeCommand(String type, int id, String value) {
   Serial.print("Executing: "); Serial.println(type);
+
+  // Per-command parameters override the defaults for this command only
+  int torque = target_torque_pct;
+  int speed = move_speed_pct;
+  parseParams(value, torque, speed);
+  last_run.valid = false;
   
-  if (type == "GRIP") {
-    digitalWrite(PIN_MOTOR_IN1, HIGH);
-    digitalWrite(PIN_MOTOR_IN2, LOW);
-    analogWrite(PIN_MOTOR_PWM, 220); // Grip with power
-    delay(2000); // Hold for 2 seconds to engage
+  if (type == "ESTOP") {
+    stopMotor();
+    estop_latched = true;
+    Serial.println("EMERGENCY STOP LATCHED");
+  }
+  else if (type == "REARM") {
+    estop_latched = false;
+    Serial.println("System Re-armed");
+  }
+  else if (type == "STOP") {
+    // Dead-man release: motor off without latching; the dashboard cancels the queued motion
     stopMotor();
+    Serial.println("Motion stopped");
+  }
+  else if (estop_latched) {
+    // Refuse any motion while latched and tell the dashboard it was dropped
+    Serial.println("Rejected: E-stop latched");
+    acknowledgeCommand(id, "CANCELLED", nullptr);
+    return;
+  }
+  else if (type == "SET_PARAMS") {
+    target_torque_pct = torque;
+    move_speed_pct = speed;
+    Serial.printf("Params set: torque=%d%% speed=%d%%\n", torque, speed);
+  }
+  else if (type == "GRIP") {
+    runMotor(true, speed, torque, 2000); // Up to 2 seconds to engage
   } 
   else if (type == "RELEASE") {
-    digitalWrite(PIN_MOTOR_IN1, LOW);
-    digitalWrite(PIN_MOTOR_IN2, HIGH);
-    analogWrite(PIN_MOTOR_PWM, 220);
-    delay(2000); 
-    stopMotor();
+    runMotor(false, speed, 100, 2000);
   }
   else if (type == "STEP_GRIP") {
-    digitalWrite(PIN_MOTOR_IN1, HIGH);
-    digitalWrite(PIN_MOTOR_IN2, LOW);
-    analogWrite(PIN_MOTOR_PWM, 200);
-    delay(250); // Small pulse
-    stopMotor();
+    runMotor(true, speed, torque, 250); // Small pulse
   }
   else if (type == "STEP_RELEASE") {
-    digitalWrite(PIN_MOTOR_IN1, LOW);
-    digitalWrite(PIN_MOTOR_IN2, HIGH);
-    analogWrite(PIN_MOTOR_PWM, 200);
-    delay(250); // Small pulse
-    stopMotor();
+    runMotor(false, speed, 100, 250); // Small pulse
   }
   else if (type == "RESET") {
-    stopMotor();
-    Serial.println("System Reset");
+    // Recalibrate: drive fully open so the open limit switch re-zeroes the position
+    runMotor(false, speed, 100, 3000);
+    Serial.println(isLimitOpen() ? "Recalibrated at open limit" : "Recalibration did not reach the open limit");
+  }
+  else {
+    Serial.println("Unknown command");
+    acknowledgeCommand(id, "FAILED", nullptr);
+    return;
   }
 
-  // IMPORTANT: Tell Supabase we are DONE with this command
-  acknowledgeCommand(id);
+  // IMPORTANT: Tell Supabase we are DONE with this command (with the run measurements for motion)
+  acknowledgeCommand(id, "EXECUTED", last_run.valid ? &last_run : nullptr);
 }
 
-void acknowledgeCommand(int id) {
+// Returns true when the command was still in flight and now carries the new status
+bool acknowledgeCommand(int id, String status, const MotorRun* run) {
   HTTPClient http;
-  String url = supabase_url + "/rest/v1/commands?id=eq." + String(id);
+  // Only update commands still in flight so a dashboard TIMED_OUT/CANCELLED is never overwritten
+  String url = supabase_url + "/rest/v1/commands?id=eq." + String(id) + "&status=in.(PENDING,ACKED)&select=id";
   
   http.begin(url);
   http.addHeader("apikey", supabase_key);
   http.addHeader("Authorization", "Bearer " + supabase_key);
+  http.addHeader("x-device-key", device_key);
   http.addHeader("Content-Type", "application/json");
+  http.addHeader("Prefer", "return=representation"); // Echo the updated rows: none when the guard did not match
+
+  StaticJsonDocument<200> body;
+  body["status"] = status;
+  if (run) {
+    body["run_ms"] = run->run_ms;
+    body["peak_current"] = run->peak_current;
+    body["mean_current"] = run->mean_current;
+    body["peak_fsr"] = run->peak_fsr;
+  }
+
+  String json_str;
+  serializeJson(body, json_str);
 
-  int http_code = http.PATCH("{\"status\":\"EXECUTED\"}");
+  int http_code = http.PATCH(json_str);
+  bool updated = false;
+  if (http_code == 200) {
+    StaticJsonDocument<64> rows;
+    updated = !deserializeJson(rows, http.getString()) && rows.size() > 0;
+  }
   http.end();
+  return updated;
+}
+
+// Reads {"torque": 0-100, "speed": 0-100} from a command value, keeping defaults for missing keys
+void parseParams(String value, int &torque, int &speed) {
+  if (value.length() == 0) return;
+
+  StaticJsonDocument<100> params;
+  if (deserializeJson(params, value)) return; // Not JSON, keep defaults
+
+  torque = constrain(params["torque"] | torque, 0, 100);
+  speed = constrain(params["speed"] | speed, 0, 100);
+}
+
+bool isLimitOpen() { return digitalRead(PIN_LIMIT_OPEN) == LOW; }
+bool isLimitClosed() { return digitalRead(PIN_LIMIT_CLOSED) == LOW; }
+float readMotorCurrent() { return analogRead(PIN_AMP_SENSE) * 3.3 / 4095.0; } // Simplified for now
+
+// Drives the motor for up to duration_ms, stopping early once closing reaches the torque
+// target or the jaw hits a limit switch. Tracks the jaw position while moving and records
+// the run time, current and peak pressure in last_run.
+void runMotor(bool closing, int speed, int torque, unsigned long duration_ms) {
+  int pwm = map(speed, 0, 100, 80, 255); // Below ~80 the geared motor stalls
+  float step_pct = 100.0 * 10 / FULL_STROKE_MS * pwm / 255.0; // Travel per 10 ms tick
+
+  digitalWrite(PIN_MOTOR_IN1, closing ? HIGH : LOW);
+  digitalWrite(PIN_MOTOR_IN2, closing ? LOW : HIGH);
+  analogWrite(PIN_MOTOR_PWM, pwm);
+
+  float peak_current = 0;
+  float current_sum = 0;
+  int samples = 0;
+  int peak_fsr = 0;
+
+  unsigned long started = millis();
+  while (millis() - started < duration_ms) {
+    float current = readMotorCurrent();
+    int pressure = map(analogRead(PIN_FSR_SENSE), 0, 4095, 0, 100);
+    peak_current = max(peak_current, current);
+    current_sum += current;
+    samples++;
+    peak_fsr = max(peak_fsr, pressure);
+
+    if (closing && isLimitClosed()) break;
+    if (!closing && isLimitOpen()) break;
+    if (closing && pressure >= torque) break; // Gentle grip: target pressure reached
+    delay(10);
+    jaw_position_pct = constrain(jaw_position_pct + (closing ? step_pct : -step_pct), 0, 100);
+  }
+  stopMotor();
+
+  last_run = { true, millis() - started, peak_current, samples ? current_sum / samples : 0, peak_fsr };
+
+  // The switches are the ground truth for both ends of the stroke
+  if (isLimitOpen()) jaw_position_pct = 0;
+  if (isLimitClosed()) jaw_position_pct = 100;
 }
 
 void stopMotor() {
@@ -0,0 +1,97 @@
+/**
+ * Service worker of the dashboard PWA. Caches the app shell so the installed app
+ * opens without a network, and shows the alarm push messages sent by the
+ * push-alerts edge function (supabase/functions/push-alerts) while no tab is open.
+ *
+ * Live data is never cached: Supabase, the LAN broker and the camera are cross-origin
+ * and go straight to the network.
+ */
+
+// Bump to drop every cached file of older builds
+const CACHE = 'gripper-shell-v1';
+
+const SHELL = ['/', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png', '/vite.svg'];
+
+/**
+ * The hashed bundles of the current build, read from the script and stylesheet tags of index.html
+ */
+const buildAssets = async () => {
+  const response = await fetch('/', { cache: 'no-store' });
+  const html = await response.text();
+  return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll([...SHELL, ...await buildAssets()]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: the newest build when online, the cached shell when not
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      try {
+        const response = await fetch(request);
+        if (response.ok) {
+          const cache = await caches.open(CACHE);
+          cache.put('/', response.clone());
+        }
+        return response;
+      } catch {
+        return (await caches.match('/')) || Response.error();
+      }
+    })());
+    return;
+  }
+
+  // Hashed bundles and icons never change under the same URL, so the cache wins
+  event.respondWith((async () => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok && url.pathname.startsWith('/assets/')) {
+      const cache = await caches.open(CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  })());
+});
+
+// Payload: { title, body, tag, severity, url }
+self.addEventListener('push', (event) => {
+  const alert = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(alert.title || 'Gripper alarm', {
+    body: alert.body,
+    tag: alert.tag,
+    icon: '/icon-192.png',
+    badge: '/icon-192.png',
+    requireInteraction: alert.severity === 'critical',
+    data: { url: alert.url || '/' }
+  }));
+});
+
+// Bring an open dashboard to the front, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+    if (open) return open.focus();
+    return self.clients.openWindow(event.notification.data?.url || '/');
+  })());
+});
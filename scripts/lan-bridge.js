@@ -0,0 +1,181 @@
+/**
+ * Bridge between the dashboard's local transport and a real gripper, for driving a unit
+ * over the LAN without Supabase. The firmware only knows the Supabase REST calls in
+ * firmware/esp32_gripper.ino, so the bridge answers those over plain HTTP and relays them
+ * to a LAN broker (scripts/mock-broker.js) on the topics of src/lib/transports/localTransport.js:
+ *
+ *   POST  /rest/v1/telemetry                 -> gripper/<device>/telemetry
+ *   GET   /rest/v1/commands?status=eq.PENDING  most urgent command queued from gripper/<device>/commands
+ *   PATCH /rest/v1/commands?id=eq.<id>       -> gripper/<device>/commands/status
+ *
+ * Set the firmware's supabase_url to the bridge, e.g. "http://192.168.4.2:8081", and point the
+ * dashboard's Local network transport at the broker. Run the broker without --auto-ack.
+ *
+ *   npm run lan-bridge -- --device gripper-01
+ *   npm run lan-bridge -- --device gripper-01 --broker ws://localhost:8080 --port 8081 --device-key <key>
+ */
+import http from 'node:http';
+import WebSocket from 'ws';
+import { COMMAND_STATUS, MOTION_COMMANDS } from '../src/lib/commands.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+const deviceId = option('--device', 'gripper-01');
+const brokerUrl = option('--broker', 'ws://localhost:8080');
+const port = Number(option('--port', 8081));
+const deviceKey = option('--device-key', null); // When set, requests must carry it in x-device-key like on Supabase
+
+const topics = {
+  telemetry: `gripper/${deviceId}/telemetry`,
+  commands: `gripper/${deviceId}/commands`,
+  commandStatus: `gripper/${deviceId}/commands/status`
+};
+
+const IN_FLIGHT = [COMMAND_STATUS.PENDING, COMMAND_STATUS.ACKED];
+const BROKER_RETRY_MS = 2000;
+
+// The firmware reads command ids as integers, while the dashboard's LAN ids are UUIDs,
+// so every relayed command gets a number here. Finished commands are forgotten.
+const commands = new Map(); // firmware id -> { row, status }
+let nextId = 1;
+let broker = null;
+
+const publish = (topic, payload) => {
+  if (broker?.readyState !== WebSocket.OPEN) return false;
+  broker.send(JSON.stringify({ op: 'publish', topic, payload, retain: false }));
+  return true;
+};
+
+/**
+ * Moves a command on and reports it to the dashboard, in the columns of the commands table
+ */
+const setStatus = (id, status, extra = {}) => {
+  const command = commands.get(id);
+  command.status = status;
+  const now = new Date().toISOString();
+  publish(topics.commandStatus, {
+    ...command.row,
+    ...extra,
+    status,
+    ...(status === COMMAND_STATUS.ACKED ? { acked_at: now } : { completed_at: now })
+  });
+  if (!IN_FLIGHT.includes(status)) commands.delete(id);
+};
+
+/**
+ * Queues a command from the dashboard. Like the Supabase e-stop and stop, an ESTOP drops
+ * every queued command and a STOP the queued motion, so nothing queued runs after them.
+ */
+const queueCommand = (row) => {
+  const id = nextId++;
+  commands.set(id, { row, status: COMMAND_STATUS.PENDING });
+
+  if (row.type !== 'ESTOP' && row.type !== 'STOP') return;
+  commands.forEach((command, otherId) => {
+    if (otherId === id || command.status !== COMMAND_STATUS.PENDING) return;
+    const isDropped = row.type === 'ESTOP' ? command.row.type !== 'ESTOP' : MOTION_COMMANDS.includes(command.row.type);
+    if (isDropped) setStatus(otherId, COMMAND_STATUS.CANCELLED);
+  });
+};
+
+/**
+ * A dashboard timed a command out or cancelled it: the firmware must no longer pick it up,
+ * nor report it EXECUTED (the status=in.(PENDING,ACKED) guard of its PATCH)
+ */
+const dropCommand = ({ id: rowId, status }) => {
+  if (status !== COMMAND_STATUS.TIMED_OUT && status !== COMMAND_STATUS.CANCELLED) return; // Our own reports come back too
+  commands.forEach((command, id) => {
+    if (command.row.id === rowId) commands.delete(id);
+  });
+};
+
+const connectBroker = () => {
+  const socket = new WebSocket(brokerUrl);
+
+  socket.on('open', () => {
+    broker = socket;
+    [topics.commands, topics.commandStatus].forEach(topic => socket.send(JSON.stringify({ op: 'subscribe', topic })));
+    console.log(`Relaying ${deviceId} through ${brokerUrl}`);
+  });
+
+  socket.on('message', (data) => {
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (frame.op !== 'message') return;
+    if (frame.topic === topics.commands) queueCommand(frame.payload);
+    if (frame.topic === topics.commandStatus) dropCommand(frame.payload);
+  });
+
+  socket.on('close', () => {
+    if (broker === socket) console.log(`Broker ${brokerUrl} lost, retrying...`);
+    broker = null;
+    setTimeout(connectBroker, BROKER_RETRY_MS);
+  });
+  socket.on('error', () => {}); // Followed by 'close'
+};
+
+/**
+ * Most urgent queued command, in the order of the firmware's query
+ * (order=priority.desc,created_at.desc)
+ */
+const nextPendingCommand = () => [...commands.entries()]
+  .filter(([, command]) => command.status === COMMAND_STATUS.PENDING)
+  .sort(([, a], [, b]) =>
+    (b.row.priority || 0) - (a.row.priority || 0) || new Date(b.row.created_at) - new Date(a.row.created_at))[0];
+
+const readBody = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body));
+    } catch {
+      resolve(null);
+    }
+  });
+});
+
+const reply = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (deviceKey && req.headers['x-device-key'] !== deviceKey) return reply(res, 401, { message: 'Invalid device key' });
+
+  if (url.pathname === '/rest/v1/telemetry' && req.method === 'POST') {
+    const row = await readBody(req);
+    if (!row || row.device_id !== deviceId) return reply(res, 400, { message: `Expected telemetry of ${deviceId}` });
+    if (!publish(topics.telemetry, { ...row, created_at: new Date().toISOString() })) return reply(res, 503, { message: 'Broker not connected' });
+    return reply(res, 201);
+  }
+
+  if (url.pathname === '/rest/v1/commands' && req.method === 'GET') {
+    const next = nextPendingCommand();
+    if (!next) return reply(res, 200, []);
+    const [id, { row }] = next;
+    return reply(res, 200, [{ id, type: row.type, value: row.value }]);
+  }
+
+  if (url.pathname === '/rest/v1/commands' && req.method === 'PATCH') {
+    const id = Number(url.searchParams.get('id')?.replace('eq.', ''));
+    const body = await readBody(req);
+    const command = commands.get(id);
+    // Same guard as the firmware's query: only a command still in flight is moved on
+    if (!body?.status || !command || !IN_FLIGHT.includes(command.status)) return reply(res, 200, []);
+
+    const { status, ...run } = body; // EXECUTED motion carries run_ms, peak_current, mean_current, peak_fsr
+    setStatus(id, status, run);
+    return reply(res, 200, [{ id }]);
+  }
+
+  return reply(res, 404, { message: `${req.method} ${url.pathname} is not bridged` });
+});
+
+connectBroker();
+server.listen(port, () => console.log(`LAN bridge for ${deviceId} listening on http://0.0.0.0:${port}`));
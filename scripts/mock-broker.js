@@ -0,0 +1,68 @@
+/**
+ * Minimal LAN broker for testing the dashboard's local transport without hardware.
+ * Speaks the JSON pub/sub frames of src/lib/transports/localTransport.js and keeps
+ * retained messages per topic.
+ *
+ *   npm run mock-broker                  # relay only, on ws://localhost:8080
+ *   npm run mock-broker -- --port 9000   # another port
+ *   npm run mock-broker -- --auto-ack    # also ACK and EXECUTE every command it relays
+ */
+import { WebSocketServer } from 'ws';
+
+const args = process.argv.slice(2);
+const port = Number(args[args.indexOf('--port') + 1]) || 8080;
+const autoAck = args.includes('--auto-ack');
+
+const subscriptions = new Map(); // socket -> Set of topics
+const retained = new Map();      // topic -> payload
+
+const deliver = (topic, payload) => {
+  const frame = JSON.stringify({ op: 'message', topic, payload });
+  subscriptions.forEach((topics, socket) => {
+    if (topics.has(topic)) socket.send(frame);
+  });
+};
+
+const publish = (topic, payload, retain) => {
+  if (retain) retained.set(topic, payload);
+  deliver(topic, payload);
+
+  // Stands in for the firmware: acknowledge, then report the command executed
+  if (autoAck && topic.endsWith('/commands')) {
+    const statusTopic = `${topic}/status`;
+    setTimeout(() => deliver(statusTopic, { ...payload, status: 'ACKED', acked_at: new Date().toISOString() }), 200);
+    setTimeout(() => deliver(statusTopic, { ...payload, status: 'EXECUTED', completed_at: new Date().toISOString() }), 700);
+  }
+};
+
+const server = new WebSocketServer({ port });
+
+server.on('connection', (socket) => {
+  subscriptions.set(socket, new Set());
+
+  socket.on('message', (data) => {
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    const topics = subscriptions.get(socket);
+    if (frame.op === 'subscribe') {
+      topics.add(frame.topic);
+      if (retained.has(frame.topic)) {
+        socket.send(JSON.stringify({ op: 'message', topic: frame.topic, payload: retained.get(frame.topic) }));
+      }
+    } else if (frame.op === 'unsubscribe') {
+      topics.delete(frame.topic);
+    } else if (frame.op === 'publish') {
+      console.log(`${frame.topic} ${JSON.stringify(frame.payload)}`);
+      publish(frame.topic, frame.payload, frame.retain);
+    }
+  });
+
+  socket.on('close', () => subscriptions.delete(socket));
+});
+
+console.log(`Mock broker listening on ws://localhost:${port}${autoAck ? ' (auto-ack)' : ''}`);
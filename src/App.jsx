@@ -1,5 +1,52 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { supabase } from './lib/supabaseClient';
+import {
+  COMMAND_STATUS,
+  DEFAULT_COMMAND_TIMEOUT_MS,
+  UNQUEUEABLE_COMMANDS,
+  isTerminalStatus,
+  toTrackedCommand,
+  addTrackedCommand,
+  applyCommandUpdate,
+  findPendingGripCommand,
+  toQueuedCommand
+} from './lib/commands';
+import { loadGripperParams, saveGripperParams, serializeGripperParams } from './lib/gripperParams';
+import { LIVE_CHART_POINTS, mergeLiveChartPoints } from './lib/telemetryHistory';
+import { INITIAL_STATS, toLiveStats, isBatteryLow, rejectCommand, commandValue } from './lib/dashboard';
+import EstopBanner from './components/EstopBanner';
+import CommandQueuePanel from './components/CommandQueuePanel';
+import TelemetryHistoryPanel from './components/TelemetryHistoryPanel';
+import ExportPanel from './components/ExportPanel';
+import AlarmBanner from './components/AlarmBanner';
+import SettingsModal from './components/SettingsModal';
+import FleetOverview from './components/FleetOverview';
+import LoginScreen from './components/LoginScreen';
+import AuditLogPage from './components/AuditLogPage';
+import AnalyticsPage from './components/AnalyticsPage';
+import SequencePanel from './components/SequencePanel';
+import LinkBanner from './components/LinkBanner';
+import JawGauge from './components/JawGauge';
+import CameraPanel from './components/CameraPanel';
+import ForceGripPanel from './components/ForceGripPanel';
+import GripToggleButton from './components/GripToggleButton';
+import MobileControlView from './components/MobileControlView';
+import { useAlarms } from './hooks/useAlarms';
+import { useControlInput } from './hooks/useControlInput';
+import { useMediaQuery } from './hooks/useMediaQuery';
+import {
+  FALLBACK_DEVICE,
+  fetchDevices,
+  isDeviceOnline,
+  loadSelectedDeviceId,
+  saveSelectedDeviceId
+} from './lib/devices';
+import { canControl, canAdminister, fetchRole, signOut } from './lib/auth';
+import { createEventBus, waitForEvent } from './lib/eventBus';
+import { createTransport, loadTransportConfig, saveTransportConfig } from './lib/transports';
+import { LINK_STATES } from './lib/linkMonitor';
+import { JAW_STATES, deriveJawState, isJawEngaged } from './lib/jaw';
+import { controlAction, loadControlBindings, saveControlBindings } from './lib/controls';
 import {
   Activity,
   Power,
@@ -10,13 +57,14 @@ import {
   AlertCircle,
   Thermometer,
   Droplets,
-  Lock,
-  Unlock,
   Zap,
   RotateCcw,
-  Camera,
-  CameraOff,
-  Link
+  LayoutGrid,
+  LogOut,
+  ScrollText,
+  BarChart3,
+  Gamepad2,
+  Smartphone
 } from 'lucide-react';
 import {
   LineChart,
@@ -30,135 +78,519 @@ import {
   Area
 } from 'recharts';
 
+// Screens narrower than this get the compact mobile layout
+const MOBILE_QUERY = '(max-width: 767px)';
+
 /**
- * Main Application Component for the Robotic Gripper Dashboard
+ * Control dashboard for one gripper unit. Mounted with a key per unit and
+ * transport, so switching either starts from a clean state with every channel rescoped.
  */
-function App() {
+function Dashboard({ device, devices, onSelectDevice, user, role, transport, transportConfig, onTransportChange }) {
+  const deviceId = device.id;
+  const mayControl = canControl(role);     // Operators and admins may send commands
+  const mayAdminister = canAdminister(role); // Admins may re-arm and change settings
+  const hasHistory = transport.supportsHistory; // Stored history, fleet and audit need Supabase
+
   // --- STATE MANAGEMENT ---
   const [isConnected, setIsConnected] = useState(false); // ESP32 link status
-  const [isGripped, setIsGripped] = useState(false);     // Current physical state (Grip/Release)
   const [telemetry, setTelemetry] = useState([]);        // Time-series data for the chart
-  const [cameraIp, setCameraIp] = useState('');          // ESP32-CAM IP address
-  const [isCameraActive, setIsCameraActive] = useState(false);
-  const [stats, setStats] = useState({                   // Latest sensor readings
-    temperature: 0,
-    humidity: 0,
-    motorCurrent: 0,
-    fsrValue: 0,
-    battery: 100
-  });
+  const [stats, setStats] = useState(INITIAL_STATS);     // Latest sensor readings
   const [logs, setLogs] = useState([]);                  // System activity logs
+  const [estop, setEstop] = useState({                   // Latched emergency stop (shared via the transport)
+    active: false,
+    triggeredAt: null,
+    clearedAt: null
+  });
+  const [trackedCommands, setTrackedCommands] = useState([]); // Commands followed through their lifecycle
+  const [commandTimeoutMs, setCommandTimeoutMs] = useState(() =>
+    Number(localStorage.getItem('commandTimeoutMs')) || DEFAULT_COMMAND_TIMEOUT_MS
+  );
+
+  const [gripperParams, setGripperParams] = useState(() => loadGripperParams(deviceId)); // Target torque/speed
+  const [controlBindings, setControlBindings] = useState(loadControlBindings); // Keyboard/gamepad bindings of this browser
+
+  // Engage/Release state comes from the reported jaw; unknown while telemetry is stale
+  const jawState = deriveJawState(
+    { jaw_position: stats.jawPosition, fsr_value: stats.fsrValue, limit_open: stats.limitOpen, limit_closed: stats.limitClosed },
+    !isConnected
+  );
+  const isGripped = isJawEngaged(jawState);
+  const pendingGripCommand = findPendingGripCommand(trackedCommands); // Shown until the jaw reports the result
+  const isBusy = trackedCommands.some(c => !isTerminalStatus(c.status)); // A command is still in flight
+  const isLocked = estop.active || !mayControl; // Motion controls are unavailable
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isFleetOpen, setIsFleetOpen] = useState(false);
+  const [view, setView] = useState('control'); // 'control' dashboard, 'audit' trail or 'analytics'
+  const [link, setLink] = useState(() => transport.getLinkStatus()); // Dashboard <-> backend link, not the ESP32's
+  const [offlineQueue, setOfflineQueue] = useState([]); // Commands issued while the link was down
+  const isLinkUp = link.state === LINK_STATES.ONLINE;
+  const [commandBus] = useState(createEventBus);   // Command status updates, for the sequence/force-grip runners and grip snapshots
+  const [telemetryBus] = useState(createEventBus); // Telemetry rows, for conditional sequence steps and the force-grip loop
+  const isNarrow = useMediaQuery(MOBILE_QUERY);
+  const [isFullLayout, setIsFullLayout] = useState(false); // Full dashboard chosen on a phone
+  const [activeOperations, setActiveOperations] = useState([]); // Recording, sequence or force grip running in a panel
+  const wantsMobileLayout = isNarrow && !isFullLayout;
+  const [isMobileLayout, setIsMobileLayout] = useState(wantsMobileLayout);
+
+  // Switching layouts unmounts the panels of the other one, which would abort a running
+  // sequence or force grip and drop a recording; the switch waits until they have finished
+  if (isMobileLayout !== wantsMobileLayout && activeOperations.length === 0) {
+    setIsMobileLayout(wantsMobileLayout);
+  }
+
+  /**
+   * Adds a new event to the on-screen log terminal
+   */
+  const addLog = useCallback((message) => {
+    setLogs(prev => [{ time: new Date().toLocaleTimeString(), message }, ...prev.slice(0, 9)]);
+  }, []);
+
+  // --- HELPER FUNCTIONS ---
+
+  /**
+   * Sends a control signal to the ESP32 through the active transport.
+   * Resolves with the inserted row, or null if the command was rejected or failed.
+   */
+  const sendCommand = async (type, value = null, attempt = 1) => {
+    const rejection = rejectCommand(type, { canControl: mayControl, role, estopActive: estop.active });
+    if (rejection) {
+      addLog(`Error: ${rejection}`);
+      return null;
+    }
+
+    addLog(`Sending command: ${type}...`);
+    const { data, error } = await transport.sendCommand(deviceId, { type, value: commandValue(type, value, gripperParams) });
+
+    if (error) {
+      addLog(`Error: ${error.message}`);
+      return null;
+    }
+
+    // Track it until it is executed; the UI shows its effect optimistically meanwhile
+    setTrackedCommands(prev => addTrackedCommand(prev, toTrackedCommand(data, attempt)));
+    addLog(`Command ${type} sent successfully.`);
+    return data;
+  };
+
+  /**
+   * Sends a command issued from the controls. While the link is down it is held in
+   * the offline queue instead, except stop commands, which are attempted right away.
+   */
+  const issueCommand = (type, value = null) => {
+    if (isLinkUp || UNQUEUEABLE_COMMANDS.includes(type)) return sendCommand(type, value);
+
+    setOfflineQueue(prev => [...prev, toQueuedCommand(type, value)]);
+    addLog(`Error: Link down, ${type} held in the offline queue until you choose to send or discard it.`);
+    return null;
+  };
+
+  /**
+   * Marks a queued command to be sent on reconnect, or sends it now if the link is already
+   * back. While a flush is still sending, it is sent after the commands approved before it.
+   */
+  const approveQueuedCommand = (id) => {
+    const command = offlineQueue.find(c => c.id === id);
+    if (!command) return;
+    if (isLinkUp && !isFlushingRef.current) {
+      setOfflineQueue(prev => prev.filter(c => c.id !== id));
+      sendCommand(command.type, command.value);
+    } else {
+      setOfflineQueue(prev => prev.map(c => (c.id === id ? { ...c, approved: true } : c)));
+    }
+  };
+
+  const discardQueuedCommand = (id) => {
+    const command = offlineQueue.find(c => c.id === id);
+    setOfflineQueue(prev => prev.filter(c => c.id !== id));
+    if (command) addLog(`Queued command ${command.type} discarded.`);
+  };
+
+  /**
+   * Sends the approved queued commands in the order they were issued once the link is back.
+   * The firmware runs the newest PENDING command first, so each one is sent only once the
+   * previous one has finished. If one does not execute, the rest wait for a new approval.
+   */
+  const flushOfflineQueue = async () => {
+    const approved = offlineQueue.filter(c => c.approved);
+    if (approved.length === 0 || isFlushingRef.current) return;
+
+    isFlushingRef.current = true;
+    addLog(`Link restored, sending ${approved.length} queued command(s)...`);
+    // Read from the live queue between commands: some may be discarded or approved meanwhile
+    const sent = new Set();
+    const nextApproved = () => offlineQueueRef.current.find(c => c.approved && !sent.has(c.id));
+    try {
+      for (let command = nextApproved(); command; command = nextApproved()) {
+        sent.add(command.id);
+        setOfflineQueue(prev => prev.filter(c => c.id !== command.id));
+        const row = await sendCommand(command.type, command.value);
+        const update = row && await waitForEvent(
+          commandBus,
+          u => u.id === row.id && isTerminalStatus(u.status),
+          new AbortController().signal
+        );
+        if (update?.status !== COMMAND_STATUS.EXECUTED) {
+          setOfflineQueue(prev => prev.map(c => (c.approved ? { ...c, approved: false } : c)));
+          addLog(`Error: Queued ${command.type} did not execute, the remaining queued commands were held back.`);
+          return;
+        }
+      }
+    } finally {
+      isFlushingRef.current = false;
+    }
+  };
+
+  // The link listener always flushes through the latest queue and e-stop state
+  const flushOfflineQueueRef = useRef(flushOfflineQueue);
+  const offlineQueueRef = useRef(offlineQueue);
+  const isFlushingRef = useRef(false);
+  useEffect(() => {
+    flushOfflineQueueRef.current = flushOfflineQueue;
+    offlineQueueRef.current = offlineQueue;
+  });
+
+  /**
+   * Re-sends a command that failed or timed out
+   */
+  const retryCommand = (command) => sendCommand(command.type, command.value, command.attempt + 1);
+
+  /**
+   * Updates one actuation parameter and persists it for this device
+   */
+  const updateGripperParam = (key, value) => {
+    const next = { ...gripperParams, [key]: Number(value) };
+    setGripperParams(next);
+    saveGripperParams(deviceId, next);
+  };
+
+  /**
+   * Stores the command deadline so it survives a reload
+   */
+  const updateCommandTimeout = (ms) => {
+    setCommandTimeoutMs(ms);
+    localStorage.setItem('commandTimeoutMs', String(ms));
+  };
+
+  /**
+   * Called by the panels as an operation a layout switch would cut off starts and ends
+   */
+  const setOperationActive = useCallback((name, active) => {
+    setActiveOperations(prev => {
+      if (prev.includes(name) === active) return prev;
+      return active ? [...prev, name] : prev.filter(n => n !== name);
+    });
+  }, []);
+
+  /**
+   * Reports failed background queries (history, fleet status) in the log terminal
+   */
+  const reportError = useCallback((error) => addLog(`Error: ${error.message}`), [addLog]);
+
+  /**
+   * Fires the emergency stop. Never blocked by UI state; the motor stop is sent first.
+   */
+  const handleEmergencyStop = async () => {
+    if (!mayControl) {
+      addLog(`Error: Emergency stop rejected, your role (${role}) cannot send commands.`);
+      return;
+    }
+    addLog('EMERGENCY STOP triggered!');
+    if (!isLinkUp) addLog('Error: Link is down, the stop may not reach the gripper. Use the hardware stop!');
+    setEstop(prev => ({ ...prev, active: true, triggeredAt: new Date().toISOString() }));
+
+    const errors = await transport.triggerEstop(deviceId);
+    errors.forEach(error => addLog(`Error: ${error.message}`));
+    if (errors.length === 0) addLog('Stop sent, pending commands cancelled.');
+  };
+
+  /**
+   * Clears the latched e-stop after the operator has confirmed it is safe
+   */
+  const handleRearm = async () => {
+    if (!mayAdminister) {
+      addLog('Error: Only an admin can re-arm the system.');
+      return;
+    }
+    const errors = await transport.rearmEstop(deviceId);
+    if (errors.length > 0) {
+      errors.forEach(error => addLog(`Error: ${error.message}`));
+    } else {
+      setEstop(prev => ({ ...prev, active: false, clearedAt: new Date().toISOString() }));
+      addLog('System re-armed by operator.');
+    }
+  };
+
+  /**
+   * Stops the motor without latching the e-stop, e.g. when the dead-man input is let go
+   */
+  const handleStopMotion = async (reason) => {
+    if (!mayControl) {
+      addLog(`Error: Stop rejected, your role (${role}) cannot send commands.`);
+      return;
+    }
+    addLog(`${reason}, stopping motion...`);
+    if (!isLinkUp) addLog('Error: Link is down, the stop may not reach the gripper. Use the hardware stop!');
+
+    const errors = await transport.stopMotion(deviceId);
+    errors.forEach(error => addLog(`Error: ${error.message}`));
+    if (errors.length === 0) addLog('Stop sent, queued motion cancelled.');
+  };
+
+  /**
+   * Runs an action bound to a key or gamepad button. A held step repeats only once the
+   * previous one has finished: the firmware polls once a second, so faster repeats
+   * would pile up and keep moving the jaw after the key is let go.
+   */
+  const handleControlAction = (key, isRepeat) => {
+    const { command } = controlAction(key);
+    if (key === 'estop') {
+      handleEmergencyStop();
+    } else if (key === 'stop') {
+      handleStopMotion('Stop pressed');
+    } else if (!isRepeat) {
+      issueCommand(command);
+    } else if (!isLocked && isLinkUp && !trackedCommands.some(c => c.type === command && !isTerminalStatus(c.status))) {
+      issueCommand(command); // Held steps are neither rejected nor queued over and over
+    }
+  };
+
+  /**
+   * A held step was let go: cancels its steps the gripper has not picked up yet
+   */
+  const handleRepeatEnd = async (key) => {
+    const { command } = controlAction(key);
+    const queued = trackedCommands.filter(c => c.type === command && c.status === COMMAND_STATUS.PENDING);
+    if (queued.length === 0) return;
+
+    const error = await transport.cancelCommands(deviceId, queued.map(c => c.id));
+    if (error) addLog(`Error: ${error.message}`);
+    else addLog(`${command} released, queued step cancelled.`);
+  };
+
+  const updateControlBindings = (next) => {
+    setControlBindings(next);
+    saveControlBindings(next);
+  };
+
+  /**
+   * Logs a triggered alarm and runs the auto action of critical rules
+   */
+  const handleAlarmTriggered = (rule, alarm) => {
+    addLog(`${alarm.severity === 'info' ? '' : 'Error: '}ALARM ${alarm.message}`);
+    if (rule.severity !== 'critical' || !rule.action) return;
+
+    addLog(`Alarm auto action: ${rule.action}`);
+    if (rule.action === 'ESTOP') {
+      handleEmergencyStop();
+    } else {
+      sendCommand(rule.action);
+    }
+  };
+
+  // 🚨 ALARMS: Threshold rules checked against every telemetry row
+  const { rules: alarmRules, updateRules: updateAlarmRules, alarms, evaluateTelemetry, acknowledge, acknowledgeAll } =
+    useAlarms(deviceId, { onTrigger: handleAlarmTriggered });
+
+  // 🎮 KEYBOARD & GAMEPAD: Off while Settings is open so binding a key cannot drive the gripper
+  const { gamepadName, isDeadmanHeld } = useControlInput(controlBindings, {
+    enabled: mayControl && !isSettingsOpen,
+    onAction: handleControlAction,
+    onDeadmanRelease: handleStopMotion,
+    onRepeatEnd: handleRepeatEnd
+  });
 
   // --- REAL-TIME DATA & CONNECTIVITY ---
+
+  // 📡 LINK STATUS: Channel drops and browser offline, separate from the ESP32 status
   useEffect(() => {
-    let heartbeatTimer;
+    let previousState = transport.getLinkStatus().state;
+    return transport.subscribeLinkStatus((next) => {
+      setLink(next);
+      if (next.state === previousState) return;
+      previousState = next.state;
+
+      if (next.state === LINK_STATES.ONLINE) {
+        addLog('Dashboard link restored.');
+        flushOfflineQueueRef.current();
+      } else {
+        addLog(`Error: Dashboard link ${next.state}.`);
+      }
+    });
+  }, [transport, addLog]);
 
+  useEffect(() => {
     /**
      * Checks if the ESP32 is still online based on the last telemetry timestamp
      */
     const checkConnection = async () => {
-      const { data, error } = await supabase
-        .from('telemetry')
-        .select('created_at')
-        .order('created_at', { ascending: false })
-        .limit(1);
-
-      if (data && data.length > 0) {
-        const lastSeen = new Date(data[0].created_at).getTime();
-        const now = new Date().getTime();
-        // Marked as "STABLE" if data received in the last 15 seconds
-        setIsConnected(now - lastSeen < 15000);
-      } else {
-        setIsConnected(false);
-      }
+      const { lastSeen } = await transport.fetchLastSeen(deviceId);
+      // Marked as "STABLE" if data received in the last 15 seconds
+      setIsConnected(isDeviceOnline(lastSeen));
     };
 
     checkConnection();
     // Run the connection check every 5 seconds
     const interval = setInterval(checkConnection, 5000);
 
+    // Seed the live chart from stored history so it is not empty until new rows arrive
+    transport.fetchRecentTelemetry(deviceId, LIVE_CHART_POINTS).then(({ rows, error }) => {
+      if (error) {
+        addLog(`Error: Could not load recent telemetry: ${error.message}`);
+        return;
+      }
+      setTelemetry(prev => mergeLiveChartPoints(prev, rows));
+    });
+
     //  TELEMETRY SUBSCRIPTION: Listens for new sensor data from ESP32
-    const telemetryChannel = supabase
-      .channel('telemetry-changes')
-      .on(
-        'postgres_changes',
-        { event: 'INSERT', schema: 'public', table: 'telemetry' },
-        (payload) => {
-          setIsConnected(true); // Data just arrived, system is obviously online
-          const newData = payload.new;
-
-          // Update the numeric stats
-          setStats({
-            temperature: newData.temperature || 0,
-            humidity: newData.humidity || 0,
-            motorCurrent: newData.motor_current || 0,
-            fsrValue: newData.fsr_value || 0,
-            battery: newData.battery_pct || 100
-          });
-
-          // Add to the live chart data (keeping last 20 points)
-          setTelemetry(prev => [...prev.slice(-19), {
-            time: new Date().toLocaleTimeString(),
-            fsr: newData.fsr_value,
-            current: newData.motor_current
-          }]);
-
-          addLog(`Telemetry Update: FSR=${newData.fsr_value}% Current=${newData.motor_current}A`);
-        }
-      )
-      .subscribe();
+    const unsubscribeTelemetry = transport.subscribeTelemetry(deviceId, (newData, { backfill }) => {
+      // Rows missed while the link was down only fill the chart; alarms and sequences act on live data
+      if (backfill) {
+        setTelemetry(prev => mergeLiveChartPoints(prev, [newData]));
+        return;
+      }
+
+      setIsConnected(true); // Data just arrived, system is obviously online
+
+      // Update the numeric stats
+      setStats(toLiveStats(newData));
+
+      // Add to the live chart data (keeping last 20 points)
+      setTelemetry(prev => mergeLiveChartPoints(prev, [newData]));
+
+      evaluateTelemetry(newData);
+      telemetryBus.emit(newData);
+      addLog(`Telemetry Update: FSR=${newData.fsr_value}% Current=${newData.motor_current}A`);
+    });
 
     // 🤖 COMMAND STATUS SUBSCRIPTION: Listens for when ESP32 acknowledges a command
-    const commandsChannel = supabase
-      .channel('command-changes')
-      .on(
-        'postgres_changes',
-        { event: 'UPDATE', schema: 'public', table: 'commands' },
-        (payload) => {
-          if (payload.new.status === 'EXECUTED') {
-            addLog(` Command [${payload.new.type}] executed by Gripper`);
-          }
-        }
-      )
-      .subscribe();
+    const unsubscribeCommands = transport.subscribeCommandUpdates(deviceId, (update) => {
+      const { type, status } = update;
+      setTrackedCommands(prev => applyCommandUpdate(prev, update));
+      commandBus.emit(update);
+
+      if (status === COMMAND_STATUS.EXECUTED) {
+        addLog(` Command [${type}] executed by Gripper`);
+      } else if (status === COMMAND_STATUS.ACKED) {
+        addLog(`Command [${type}] acknowledged by Gripper`);
+      } else if (status === COMMAND_STATUS.FAILED) {
+        addLog(`Error: Command [${type}] failed on Gripper`);
+      }
+    });
+
+    // 🛑 E-STOP SUBSCRIPTION: Keeps every open dashboard in sync with the latched stop
+    transport.fetchEstopState(deviceId).then(({ state, error }) => {
+      if (error) {
+        addLog(`Error: Could not read e-stop state: ${error.message}`);
+      } else {
+        setEstop(state);
+      }
+    });
+
+    const unsubscribeEstop = transport.subscribeEstop(deviceId, (next) => {
+      setEstop(next);
+      addLog(next.active ? 'EMERGENCY STOP LATCHED' : 'Emergency stop cleared, system re-armed');
+    });
 
     // Cleanup function when the app closes
     return () => {
       clearInterval(interval);
-      supabase.removeChannel(telemetryChannel);
-      supabase.removeChannel(commandsChannel);
+      unsubscribeTelemetry();
+      unsubscribeCommands();
+      unsubscribeEstop();
     };
-  }, []);
+  }, [deviceId, transport, addLog, evaluateTelemetry, commandBus, telemetryBus]);
 
-  // --- HELPER FUNCTIONS ---
+  // ⏱️ COMMAND DEADLINES: Marks commands TIMED_OUT when the ESP32 never executes them
+  useEffect(() => {
+    const openCommands = trackedCommands.filter(c => !isTerminalStatus(c.status));
+    if (openCommands.length === 0) return;
 
-  /**
-   * Adds a new event to the on-screen log terminal
-   */
-  const addLog = (message) => {
-    setLogs(prev => [{ time: new Date().toLocaleTimeString(), message }, ...prev.slice(0, 9)]);
-  };
+    const nextDeadline = Math.min(...openCommands.map(c => c.sentAt + commandTimeoutMs));
+    const timer = setTimeout(() => {
+      const now = Date.now();
+      openCommands
+        .filter(c => c.sentAt + commandTimeoutMs <= now)
+        .forEach(async (command) => {
+          setTrackedCommands(prev => applyCommandUpdate(prev, { id: command.id, status: COMMAND_STATUS.TIMED_OUT }));
+          commandBus.emit({ ...command, status: COMMAND_STATUS.TIMED_OUT });
+          addLog(`Error: Command [${command.type}] timed out after ${commandTimeoutMs / 1000}s`);
+          const error = await transport.expireCommand(deviceId, command.id);
+          if (error) addLog(`Error: ${error.message}`);
+        });
+    }, Math.max(0, nextDeadline - Date.now()));
 
-  /**
-   * Sends a control signal to the Supabase 'commands' table for the ESP32 to fetch
-   */
-  const sendCommand = async (type, value = null) => {
-    addLog(`Sending command: ${type}...`);
-    const { error } = await supabase
-      .from('commands')
-      .insert([{ type, value, status: 'PENDING' }]);
-
-    if (error) {
-      addLog(`Error: ${error.message}`);
-    } else {
-      // Optimistically update UI state
-      if (type === 'GRIP') setIsGripped(true);
-      if (type === 'RELEASE') setIsGripped(false);
-      addLog(`Command ${type} sent successfully.`);
-    }
-  };
+    return () => clearTimeout(timer);
+  }, [trackedCommands, commandTimeoutMs, deviceId, transport, addLog, commandBus]);
 
   // --- USER INTERFACE (JSX) ---
+  // Banners and settings are shared by the mobile and the full layout
+  const banners = (
+    <>
+      {/* 📡 LINK BANNER: Dashboard connectivity and the commands held while offline */}
+      <LinkBanner link={link} queue={offlineQueue} onApprove={approveQueuedCommand} onDiscard={discardQueuedCommand} />
+
+      {/* 🛑 E-STOP BANNER: Visible on every dashboard while the stop is latched */}
+      <EstopBanner estop={estop} canRearm={mayAdminister} onRearm={handleRearm} />
+
+      {/* 🚨 ALARM BANNER: Active and unacknowledged alarms */}
+      <AlarmBanner alarms={alarms} onAcknowledge={acknowledge} onAcknowledgeAll={acknowledgeAll} />
+
+      {isMobileLayout !== wantsMobileLayout && (
+        <div className="alert alert-info py-2 text-xs">
+          Switching to the {wantsMobileLayout ? 'mobile' : 'full'} layout once this finishes: {activeOperations.join(', ')}
+        </div>
+      )}
+    </>
+  );
+
+  const settingsModal = (
+    <SettingsModal
+      isOpen={isSettingsOpen}
+      onClose={() => setIsSettingsOpen(false)}
+      canEdit={mayAdminister}
+      alarmRules={alarmRules}
+      onAlarmRulesChange={updateAlarmRules}
+      transportConfig={transportConfig}
+      onTransportChange={onTransportChange}
+      controlBindings={controlBindings}
+      onControlBindingsChange={updateControlBindings}
+      onLog={addLog}
+    />
+  );
+
+  // 📱 MOBILE: Compact operator view with big touch targets, the camera on top
+  if (isMobileLayout) {
+    return (
+      <div className="p-3 max-w-xl mx-auto space-y-4">
+        {banners}
+        {settingsModal}
+        <MobileControlView
+          device={device}
+          devices={devices}
+          onSelectDevice={onSelectDevice}
+          isConnected={isConnected}
+          stats={stats}
+          jawState={jawState}
+          isGripped={isGripped}
+          pendingGripCommand={pendingGripCommand}
+          isLocked={isLocked}
+          estopActive={estop.active}
+          canControl={mayControl}
+          commandBus={commandBus}
+          storeSnapshots={hasHistory && mayControl}
+          logs={logs}
+          onCommand={issueCommand}
+          onStopMotion={handleStopMotion}
+          onEmergencyStop={handleEmergencyStop}
+          onOpenSettings={() => setIsSettingsOpen(true)}
+          onShowFullLayout={() => setIsFullLayout(true)}
+          onActiveChange={setOperationActive}
+          onLog={addLog}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="p-4 md:p-8 max-w-7xl mx-auto space-y-6">
 
@@ -171,48 +603,134 @@ function App() {
           <div>
             <h1 className="text-2xl font-bold glow-text tracking-tight uppercase">Robotic Gripper</h1>
             <p className="text-xs text-slate-400 flex items-center gap-1">
-              <Activity className="w-3 h-3 text-green-500" /> SYSTEM ONLINE | HEXA UNIT
+              <Activity className="w-3 h-3 text-green-500" /> SYSTEM ONLINE |
+              {/* Device switcher: every command and channel is scoped to the selected unit */}
+              <select
+                value={deviceId}
+                onChange={(e) => onSelectDevice(e.target.value)}
+                className="bg-transparent uppercase font-bold text-slate-300 cursor-pointer focus:outline-none"
+              >
+                {devices.map(d => <option key={d.id} value={d.id} className="bg-slate-900">{d.name}</option>)}
+              </select>
             </p>
           </div>
         </div>
 
         <div className="flex items-center gap-6">
           <div className="flex flex-col items-end">
-            <span className="text-[10px] uppercase text-slate-500 font-bold mb-1 tracking-widest">ESP32 STATUS</span>
+            <span className="text-[10px] uppercase text-slate-500 font-bold mb-1 tracking-widest">
+              ESP32 STATUS{transport.kind === 'local' && ' · LAN'}{transport.kind === 'simulator' && ' · SIMULATED'}
+            </span>
             <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-xs font-medium ${isConnected ? 'bg-green-500/10 text-green-400' : 'bg-red-500/10 text-red-400'}`}>
               {isConnected ? <Wifi className="w-4 h-4" /> : <WifiOff className="w-4 h-4" />}
               {isConnected ? 'STABLE' : 'DISCONNECTED'}
             </div>
           </div>
-          <button className="btn btn-circle btn-ghost btn-sm text-slate-400">
+          {/* Views that read stored data from Supabase */}
+          {hasHistory && (
+            <>
+              <button
+                onClick={() => setIsFleetOpen(!isFleetOpen)}
+                className={`btn btn-circle btn-ghost btn-sm ${isFleetOpen ? 'text-blue-400' : 'text-slate-400'}`}
+                title="Fleet overview"
+              >
+                <LayoutGrid className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setView(view === 'audit' ? 'control' : 'audit')}
+                className={`btn btn-circle btn-ghost btn-sm ${view === 'audit' ? 'text-blue-400' : 'text-slate-400'}`}
+                title="Audit trail"
+              >
+                <ScrollText className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setView(view === 'analytics' ? 'control' : 'analytics')}
+                className={`btn btn-circle btn-ghost btn-sm ${view === 'analytics' ? 'text-blue-400' : 'text-slate-400'}`}
+                title="Grip cycle analytics"
+              >
+                <BarChart3 className="w-5 h-5" />
+              </button>
+            </>
+          )}
+          {isNarrow && (
+            <button onClick={() => setIsFullLayout(false)} className="btn btn-circle btn-ghost btn-sm text-slate-400" title="Mobile controls">
+              <Smartphone className="w-5 h-5" />
+            </button>
+          )}
+          <button onClick={() => setIsSettingsOpen(true)} className="btn btn-circle btn-ghost btn-sm text-slate-400">
             <Settings className="w-5 h-5" />
           </button>
+          {/* Signed-in operator and role */}
+          <div className="flex flex-col items-end">
+            <span className="text-[10px] text-slate-400 font-bold truncate max-w-[160px]">{user.email}</span>
+            <span className="badge badge-xs badge-outline text-slate-400 uppercase">{role}</span>
+          </div>
+          <button onClick={signOut} className="btn btn-circle btn-ghost btn-sm text-slate-400" title="Sign out">
+            <LogOut className="w-5 h-5" />
+          </button>
         </div>
       </header>
 
-      <main className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+      {/* 🗺️ FLEET OVERVIEW: Every unit at a glance */}
+      {hasHistory && isFleetOpen && <FleetOverview selectedId={deviceId} onSelect={onSelectDevice} onError={reportError} />}
+
+      {banners}
+      {settingsModal}
+
+      {/* 📜 AUDIT TRAIL: Persistent record of every command for incident reviews */}
+      {hasHistory && view === 'audit' && <AuditLogPage deviceId={deviceId} devices={devices} onError={reportError} />}
+
+      {/* 📈 ANALYTICS: Grip cycle statistics, motor wear trends and battery runtime */}
+      {hasHistory && view === 'analytics' && <AnalyticsPage deviceId={deviceId} onError={reportError} />}
+
+      <main className={`grid grid-cols-1 lg:grid-cols-12 gap-6 ${hasHistory && view !== 'control' ? 'hidden' : ''}`}>
 
         {/* LEFT COLUMN: Manual Controls, Environment, and Live Stats */}
         <div className="lg:col-span-4 space-y-6">
 
           {/* 🎮 ACTUATION ENGINE: Primary controls for the gripper hardware */}
           <div className="glass-card p-6 border-t-4 border-blue-500/50">
-            <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest mb-6 text-[10px]">Actuation Engine</h2>
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px]">Actuation Engine</h2>
+              {/* Keyboard/gamepad input state */}
+              <div className="flex gap-2">
+                {gamepadName && (
+                  <span className="badge badge-xs badge-outline text-slate-400" title={gamepadName}>
+                    <Gamepad2 className="w-3 h-3 mr-1" /> GAMEPAD
+                  </span>
+                )}
+                {controlBindings.deadman && (
+                  <span className={`badge badge-xs ${isDeadmanHeld ? 'badge-success' : 'badge-ghost text-slate-500'}`}>
+                    DEAD-MAN {isDeadmanHeld ? 'HELD' : 'RELEASED'}
+                  </span>
+                )}
+              </div>
+            </div>
 
             <div className="grid grid-cols-1 gap-4">
-              {/* Main Engage/Release Toggle */}
-              <button
-                onClick={() => sendCommand(isGripped ? 'RELEASE' : 'GRIP')}
-                className={`btn btn-xl h-24 text-lg gap-3 ${isGripped ? 'btn-error' : 'btn-primary'} transition-all hover:scale-[1.02] shadow-xl`}
-              >
-                {isGripped ? <Unlock className="w-6 h-6" /> : <Lock className="w-6 h-6" />}
-                {isGripped ? 'FULL RELEASE' : 'FULL ENGAGE'}
-              </button>
+              {/* Jaw opening as reported by the ESP32 */}
+              <JawGauge
+                position={stats.jawPosition}
+                limitOpen={stats.limitOpen}
+                limitClosed={stats.limitClosed}
+                jawState={jawState}
+              />
+
+              {/* Main Engage/Release Toggle: driven by the reported jaw, never by what was last sent */}
+              <GripToggleButton
+                jawState={jawState}
+                isGripped={isGripped}
+                pendingCommand={pendingGripCommand}
+                disabled={isLocked}
+                onToggle={() => issueCommand(isGripped ? 'RELEASE' : 'GRIP')}
+                className="btn-xl h-24 text-lg"
+              />
 
               {/* Incremental (+/-) Buttons */}
               <div className="flex gap-4">
                 <button
-                  onClick={() => sendCommand('STEP_RELEASE')}
+                  onClick={() => issueCommand('STEP_RELEASE')}
+                  disabled={isLocked}
                   className="btn btn-lg flex-1 btn-outline btn-info border-2 hover:bg-info/10"
                   title="Loosen step"
                 >
@@ -222,7 +740,8 @@ function App() {
                   </div>
                 </button>
                 <button
-                  onClick={() => sendCommand('STEP_GRIP')}
+                  onClick={() => issueCommand('STEP_GRIP')}
+                  disabled={isLocked}
                   className="btn btn-lg flex-1 btn-outline btn-primary border-2 hover:bg-primary/10"
                   title="Tighten step"
                 >
@@ -236,13 +755,19 @@ function App() {
               {/* Reset and Emergency Buttons */}
               <div className="grid grid-cols-2 gap-4 mt-2">
                 <button
-                  onClick={() => sendCommand('RESET')}
+                  onClick={() => issueCommand('RESET')}
+                  disabled={isLocked}
                   className="btn btn-outline btn-sm text-slate-400 border-slate-700 hover:bg-slate-800"
                 >
                   <RotateCcw className="w-4 h-4 mr-2" /> RECALIBRATE
                 </button>
-                <button className="btn btn-outline btn-sm btn-error opacity-50 cursor-not-allowed">
-                  <Power className="w-4 h-4 mr-2" /> EMERGENCY
+                <button
+                  onClick={handleEmergencyStop}
+                  disabled={!mayControl}
+                  className={`btn btn-sm btn-error ${estop.active ? '' : 'btn-outline'}`}
+                  title="Stop the motor and lock all controls"
+                >
+                  <Power className="w-4 h-4 mr-2" /> {estop.active ? 'E-STOP LATCHED' : 'EMERGENCY'}
                 </button>
               </div>
             </div>
@@ -252,20 +777,54 @@ function App() {
               <div>
                 <div className="flex justify-between text-xs mb-2 text-slate-400 uppercase tracking-wider font-bold">
                   <span>Target Torque</span>
-                  <span className="text-blue-400">75%</span>
+                  <span className="text-blue-400">{gripperParams.torque}%</span>
                 </div>
-                <input type="range" min="0" max="100" defaultValue="75" className="range range-xs range-primary" />
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={gripperParams.torque}
+                  onChange={(e) => updateGripperParam('torque', e.target.value)}
+                  className="range range-xs range-primary"
+                />
               </div>
               <div>
                 <div className="flex justify-between text-xs mb-2 text-slate-400 uppercase tracking-wider font-bold">
                   <span>Movement Speed</span>
-                  <span className="text-blue-400">40%</span>
+                  <span className="text-blue-400">{gripperParams.speed}%</span>
                 </div>
-                <input type="range" min="0" max="100" defaultValue="40" className="range range-xs range-accent" />
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={gripperParams.speed}
+                  onChange={(e) => updateGripperParam('speed', e.target.value)}
+                  className="range range-xs range-accent"
+                />
               </div>
+              {/* Pushes the values to the ESP32 as its new defaults; only while no command is running */}
+              <button
+                onClick={() => issueCommand('SET_PARAMS', serializeGripperParams(gripperParams))}
+                disabled={isLocked || isBusy}
+                className="btn btn-outline btn-xs w-full text-slate-400 border-slate-700 hover:bg-slate-800"
+              >
+                APPLY AS DEVICE DEFAULTS
+              </button>
             </div>
           </div>
 
+          {/* 🎯 GRIP TO FORCE: Closed-loop stepping to a target FSR */}
+          <ForceGripPanel
+            sendCommand={sendCommand}
+            onStopMotion={handleStopMotion}
+            onActiveChange={setOperationActive}
+            gripperParams={gripperParams}
+            commandBus={commandBus}
+            telemetryBus={telemetryBus}
+            disabled={isLocked || !isLinkUp || jawState === JAW_STATES.UNKNOWN}
+            onLog={addLog}
+          />
+
           {/* 🌡️ ENVIRONMENT: Sensor Display (Temp/Humidity) */}
           <div className="glass-card p-6">
             <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest mb-4 text-[10px]">Environment</h2>
@@ -307,10 +866,10 @@ function App() {
           <div className="glass-card p-5 space-y-4">
             <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">System Power</h3>
             <div className="flex items-center justify-between">
-              <Power className={`w-8 h-8 ${stats.battery > 20 ? 'text-green-400' : 'text-red-400'}`} />
-              <span className="text-3xl font-black">{stats.battery}%</span>
+              <Power className={`w-8 h-8 ${isBatteryLow(stats.battery) ? 'text-red-400' : 'text-green-400'}`} />
+              <span className="text-3xl font-black">{stats.battery === null ? '--' : `${stats.battery}%`}</span>
             </div>
-            <progress className={`progress w-full ${stats.battery > 20 ? 'progress-success' : 'progress-error'}`} value={stats.battery} max="100"></progress>
+            <progress className={`progress w-full ${isBatteryLow(stats.battery) ? 'progress-error' : 'progress-success'}`} value={stats.battery ?? 0} max="100"></progress>
           </div>
         </div>
 
@@ -318,61 +877,13 @@ function App() {
         <div className="lg:col-span-8 space-y-6">
 
           {/* 📹 VISUAL MONITORING: Live ESP32-CAM Stream */}
-          <div className="glass-card p-5 overflow-hidden">
-            <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4 gap-4">
-              <div>
-                <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px]">Visual Monitoring</h2>
-                <div className="flex items-center gap-2 mt-1">
-                  <div className={`w-2 h-2 rounded-full ${isCameraActive ? 'bg-red-500 pulse-led' : 'bg-slate-600'}`}></div>
-                  <span className="text-[10px] text-slate-500 font-bold uppercase">{isCameraActive ? 'LIVE FEED ACTIVE' : 'CAMERA STANDBY'}</span>
-                </div>
-              </div>
-
-              <div className="flex w-full md:w-auto gap-2">
-                <div className="relative flex-1">
-                  <Link className="absolute left-3 top-1/2 -translate-y-1/2 w-3 h-3 text-slate-500" />
-                  <input
-                    type="text"
-                    placeholder="Camera IP"
-                    className="input input-sm input-bordered w-full pl-8 bg-black/20 text-xs border-slate-800"
-                    value={cameraIp}
-                    onChange={(e) => setCameraIp(e.target.value)}
-                  />
-                </div>
-                <button
-                  onClick={() => setIsCameraActive(!isCameraActive)}
-                  className={`btn btn-sm ${isCameraActive ? 'btn-error' : 'btn-primary'}`}
-                >
-                  {isCameraActive ? <CameraOff className="w-4 h-4" /> : <Camera className="w-4 h-4" />}
-                </button>
-              </div>
-            </div>
-
-            <div className="relative aspect-video max-h-[450px] mx-auto bg-black/40 rounded-xl border border-slate-800 overflow-hidden group">
-              {isCameraActive && cameraIp ? (
-                <img
-                  src={`http://${cameraIp}`}
-                  alt="ESP32-CAM Stream"
-                  className="w-full h-full object-contain"
-                  onError={() => {
-                    setIsCameraActive(false);
-                    addLog("Error: Failed to connect to Camera. Check IP address.");
-                  }}
-                />
-              ) : (
-                <div className="absolute inset-0 flex flex-col items-center justify-center text-slate-600">
-                  <CameraOff className="w-12 h-12 mb-3 opacity-20" />
-                  <p className="text-xs font-bold tracking-widest opacity-40">NO SIGNAL DETECTED</p>
-                </div>
-              )}
-
-              {isCameraActive && (
-                <div className="absolute top-4 right-4 px-2 py-1 bg-black/60 backdrop-blur-md rounded text-[10px] font-mono text-red-500 font-bold border border-red-500/30">
-                  REC ●
-                </div>
-              )}
-            </div>
-          </div>
+          <CameraPanel
+            device={device}
+            commandBus={commandBus}
+            storeSnapshots={hasHistory && mayControl}
+            onActiveChange={setOperationActive}
+            onLog={addLog}
+          />
 
           {/* 📊 TELEMETRY: Live Graph (Motor Load vs Grip Pressure) */}
           <div className="glass-card p-6 h-[400px]">
@@ -417,6 +928,31 @@ function App() {
             </div>
           </div>
 
+          {/* 🕓 HISTORY: Stored telemetry over a chosen range */}
+          {hasHistory && <TelemetryHistoryPanel deviceId={deviceId} onError={reportError} />}
+
+          {/* 💾 EXPORT: Offline analysis of grip runs */}
+          {hasHistory && <ExportPanel deviceId={deviceId} logs={logs} onLog={addLog} />}
+
+          {/* 🔁 SEQUENCES: Recorded grip routines with supervised playback */}
+          <SequencePanel
+            sendCommand={sendCommand}
+            onStopMotion={handleStopMotion}
+            commandBus={commandBus}
+            telemetryBus={telemetryBus}
+            canControl={mayControl}
+            onActiveChange={setOperationActive}
+            onLog={addLog}
+          />
+
+          {/* 📬 COMMAND QUEUE: Lifecycle of every command sent from this dashboard */}
+          <CommandQueuePanel
+            commands={trackedCommands}
+            timeoutMs={commandTimeoutMs}
+            onTimeoutChange={updateCommandTimeout}
+            onRetry={retryCommand}
+          />
+
           {/* 📝 LOGS: Activity Terminal shows history of commands and status */}
           <div className="glass-card p-6">
             <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest mb-4 text-[10px]">Command Logs</h2>
@@ -441,4 +977,70 @@ function App() {
   );
 }
 
+/**
+ * Main Application Component for the Robotic Gripper Dashboard.
+ * Gates everything behind Supabase Auth, then loads the operator's role and
+ * the device registry and shows the dashboard of the selected unit.
+ */
+function App() {
+  const [session, setSession] = useState(undefined); // undefined while the stored session is checked
+  const [workspace, setWorkspace] = useState({ userId: null, role: 'viewer', devices: [] });
+  const [selectedId, setSelectedId] = useState(loadSelectedDeviceId);
+  const [transportConfig, setTransportConfig] = useState(loadTransportConfig);
+  const transport = useMemo(() => createTransport(transportConfig), [transportConfig]);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, next) => setSession(next));
+    return () => subscription.unsubscribe();
+  }, []);
+
+  // Role and registry are only readable once signed in (row-level security)
+  const userId = session?.user.id;
+  useEffect(() => {
+    if (!userId) return;
+    Promise.all([fetchRole(userId), fetchDevices()]).then(([{ role, error: roleError }, { devices, error }]) => {
+      if (roleError) console.error('Could not load operator role:', roleError.message);
+      if (error) console.error('Could not load device registry:', error.message);
+      setWorkspace({ userId, role, devices: devices.length > 0 ? devices : [FALLBACK_DEVICE] });
+    });
+  }, [userId]);
+
+  const selectDevice = (id) => {
+    setSelectedId(id);
+    saveSelectedDeviceId(id);
+  };
+
+  const changeTransport = (config) => {
+    setTransportConfig(config);
+    saveTransportConfig(config);
+  };
+
+  if (session === null) return <LoginScreen />;
+
+  if (session === undefined || workspace.userId !== userId) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-xs text-slate-500 font-bold tracking-widest">
+        {session === undefined ? 'CHECKING SESSION...' : 'LOADING DEVICES...'}
+      </div>
+    );
+  }
+
+  const { devices, role } = workspace;
+  const device = devices.find(d => d.id === selectedId) || devices[0];
+  return (
+    <Dashboard
+      key={`${transport.kind}:${device.id}`}
+      device={device}
+      devices={devices}
+      onSelectDevice={selectDevice}
+      user={session.user}
+      role={role}
+      transport={transport}
+      transportConfig={transportConfig}
+      onTransportChange={changeTransport}
+    />
+  );
+}
+
 export default App;
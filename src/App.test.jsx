@@ -0,0 +1,296 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, within, act, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import { supabase } from './lib/supabaseClient';
+import { LINK_TIMEOUT_MS } from './lib/devices';
+
+const DEVICE_ID = 'gripper-01';
+const USER = { id: 'user-1', email: 'operator@example.com' };
+
+// An open jaw at rest, as posted by the firmware
+const OPEN_JAW = { fsr_value: 0, motor_current: 0, temperature: 24, humidity: 40, battery_pct: 76, jaw_position: 0, limit_open: true, limit_closed: false };
+
+/**
+ * Registers one unit and signs in a user with the given role
+ */
+const setUp = (role, { telemetry = OPEN_JAW, postedAgoMs = 0 } = {}) => {
+  supabase.seed('profiles', [{ id: USER.id, email: USER.email, role }]);
+  supabase.seed('devices', [{ id: DEVICE_ID, name: 'Gripper 01', camera_ip: '', last_seen: null }]);
+  supabase.seed('system_state', [{ device_id: DEVICE_ID, estop_active: false }]);
+  if (telemetry) {
+    supabase.seed('telemetry', [{ device_id: DEVICE_ID, created_at: new Date(Date.now() - postedAgoMs).toISOString(), ...telemetry }]);
+  }
+  supabase.signIn(USER);
+};
+
+// What the firmware does: post a reading, or move a command on
+const postTelemetry = (row) => act(() => supabase.from('telemetry').insert([{ device_id: DEVICE_ID, ...row }]));
+const setCommandStatus = (id, status) => act(() => supabase.from('commands').update({ status }).eq('id', id));
+
+/**
+ * Renders the app and waits until the dashboard listens to the unit's telemetry,
+ * commands and e-stop, then posts a first reading so the jaw state is known
+ */
+const renderDashboard = async ({ reading = OPEN_JAW } = {}) => {
+  render(<App />);
+  await waitFor(() => expect(supabase.subscribedChannels()).toEqual(expect.arrayContaining([
+    `telemetry-changes:${DEVICE_ID}`,
+    `command-changes:${DEVICE_ID}`,
+    `system-state-changes:${DEVICE_ID}`
+  ])));
+  if (reading) await postTelemetry(reading);
+};
+
+const espStatus = () => screen.getByText(/^(STABLE|DISCONNECTED)$/);
+const commandQueue = () => within(screen.getByText('Pending Commands').closest('.glass-card'));
+const commandLogs = () => screen.getByText('Command Logs').parentElement;
+
+describe('App', () => {
+  it('asks for a login without a session', async () => {
+    render(<App />);
+    expect(await screen.findByRole('button', { name: /sign in/i })).toBeInTheDocument();
+  });
+
+  describe('live readings', () => {
+    it('shows the latest telemetry and the unit as connected', async () => {
+      setUp('operator');
+      await renderDashboard();
+
+      await waitFor(() => expect(espStatus()).toHaveTextContent('STABLE'));
+      await postTelemetry({ ...OPEN_JAW, fsr_value: 12, motor_current: 0.4, battery_pct: 55 });
+
+      expect(await screen.findByText('12%')).toBeInTheDocument();
+      expect(screen.getByText('0.4A')).toBeInTheDocument();
+      expect(screen.getByText('55%')).toBeInTheDocument();
+    });
+
+    it('shows an empty battery as 0%', async () => {
+      setUp('operator');
+      await renderDashboard({ reading: { ...OPEN_JAW, battery_pct: 0 } });
+
+      const powerCard = screen.getByText('System Power').closest('.glass-card');
+      await waitFor(() => expect(powerCard).toHaveTextContent('0%'));
+      expect(powerCard).not.toHaveTextContent('100%');
+    });
+
+    it('shows no battery level until one is reported', async () => {
+      setUp('operator', { telemetry: null });
+      await renderDashboard({ reading: null });
+
+      const powerCard = screen.getByText('System Power').closest('.glass-card');
+      expect(powerCard).toHaveTextContent('--');
+    });
+  });
+
+  describe('connection check', () => {
+    it('marks the unit disconnected when its last telemetry is stale', async () => {
+      setUp('operator', { postedAgoMs: LINK_TIMEOUT_MS + 5000 });
+      await renderDashboard({ reading: null });
+
+      await waitFor(() => expect(espStatus()).toHaveTextContent('DISCONNECTED'));
+    });
+
+    it('marks a unit that never posted as disconnected', async () => {
+      setUp('operator', { telemetry: null });
+      await renderDashboard({ reading: null });
+
+      await waitFor(() => expect(espStatus()).toHaveTextContent('DISCONNECTED'));
+    });
+
+    it('goes stale once the unit stops posting, and recovers with the next row', async () => {
+      vi.useFakeTimers({ shouldAdvanceTime: true });
+      setUp('operator');
+      await renderDashboard();
+      await waitFor(() => expect(espStatus()).toHaveTextContent('STABLE'));
+
+      // The check runs every 5 s; nothing arrives for longer than the link timeout
+      await act(() => vi.advanceTimersByTimeAsync(LINK_TIMEOUT_MS + 5000));
+      await waitFor(() => expect(espStatus()).toHaveTextContent('DISCONNECTED'));
+
+      await postTelemetry(OPEN_JAW);
+      await waitFor(() => expect(espStatus()).toHaveTextContent('STABLE'));
+    });
+  });
+
+  describe('sending commands', () => {
+    it('inserts a PENDING command carrying the torque and speed, then follows it to EXECUTED', async () => {
+      setUp('operator');
+      await renderDashboard();
+
+      fireEvent.click(await screen.findByRole('button', { name: /full engage/i }));
+      await waitFor(() => expect(supabase.rows('commands')).toHaveLength(1));
+
+      const [command] = supabase.rows('commands');
+      expect(command).toMatchObject({ device_id: DEVICE_ID, type: 'GRIP', status: 'PENDING' });
+      expect(JSON.parse(command.value)).toEqual({ torque: expect.any(Number), speed: expect.any(Number) });
+
+      // The toggle waits for the jaw instead of flipping optimistically
+      expect(await screen.findByRole('button', { name: /engaging/i })).toBeDisabled();
+      expect(await commandQueue().findByText('PENDING')).toBeInTheDocument();
+
+      await setCommandStatus(command.id, 'ACKED');
+      expect(await commandQueue().findByText('ACKED')).toBeInTheDocument();
+
+      await setCommandStatus(command.id, 'EXECUTED');
+      expect(await commandQueue().findByText('EXECUTED')).toBeInTheDocument();
+      await waitFor(() => expect(commandLogs()).toHaveTextContent('Command [GRIP] executed by Gripper'));
+
+      // The jaw reports the grip and the toggle offers the release
+      await postTelemetry({ ...OPEN_JAW, fsr_value: 45, jaw_position: 70, limit_open: false });
+      expect(await screen.findByRole('button', { name: /full release/i })).toBeEnabled();
+    });
+
+    it('reports a command the gripper could not run and offers a retry', async () => {
+      setUp('operator');
+      await renderDashboard();
+
+      fireEvent.click(screen.getByTitle('Tighten step'));
+      await waitFor(() => expect(supabase.rows('commands')).toHaveLength(1));
+      await setCommandStatus(supabase.rows('commands')[0].id, 'FAILED');
+
+      expect(await commandQueue().findByText('FAILED')).toBeInTheDocument();
+      expect(commandLogs()).toHaveTextContent('Error: Command [STEP_GRIP] failed on Gripper');
+
+      fireEvent.click(commandQueue().getByTitle('Send again'));
+      await waitFor(() => expect(supabase.rows('commands')).toHaveLength(2));
+      expect(await commandQueue().findByText('retry #1')).toBeInTheDocument();
+    });
+
+    it('logs the error when the insert is refused', async () => {
+      setUp('operator');
+      await renderDashboard();
+
+      supabase.failNext('commands', 'new row violates row-level security policy');
+      fireEvent.click(screen.getByTitle('Tighten step'));
+
+      await waitFor(() => expect(commandLogs()).toHaveTextContent('Error: new row violates row-level security policy'));
+      expect(commandQueue().getByText('No commands sent yet...')).toBeInTheDocument();
+    });
+
+    it('holds commands in the offline queue while a realtime channel is down', async () => {
+      setUp('operator');
+      await renderDashboard();
+
+      act(() => supabase.setChannelStatus('command-changes', 'CHANNEL_ERROR'));
+      expect(await screen.findByText(/realtime channel lost/i)).toBeInTheDocument();
+
+      fireEvent.click(screen.getByTitle('Tighten step'));
+      await waitFor(() => expect(commandLogs()).toHaveTextContent('STEP_GRIP held in the offline queue'));
+      expect(supabase.rows('commands')).toHaveLength(0);
+    });
+
+    it('sends approved queued commands in order, each once the previous one has executed', async () => {
+      setUp('operator');
+      await renderDashboard();
+      const onLine = vi.spyOn(navigator, 'onLine', 'get');
+
+      onLine.mockReturnValue(false);
+      act(() => window.dispatchEvent(new Event('offline')));
+      expect(await screen.findByText(/dashboard offline/i)).toBeInTheDocument();
+      fireEvent.click(screen.getByTitle('Tighten step'));
+      fireEvent.click(screen.getByTitle('Loosen step'));
+      for (let i = 0; i < 2; i++) {
+        fireEvent.click((await screen.findAllByRole('button', { name: /send when reconnected/i }))[0]);
+      }
+
+      onLine.mockReturnValue(true);
+      act(() => window.dispatchEvent(new Event('online')));
+      await waitFor(() => expect(supabase.rows('commands')).toHaveLength(1));
+      expect(supabase.rows('commands')[0]).toMatchObject({ type: 'STEP_GRIP' });
+      // The firmware takes the newest PENDING row first, so the loosen step must not be queued behind it
+      await act(() => new Promise(resolve => setTimeout(resolve, 200)));
+      expect(supabase.rows('commands')).toHaveLength(1);
+
+      await setCommandStatus(supabase.rows('commands')[0].id, 'EXECUTED');
+      await waitFor(() => expect(supabase.rows('commands')).toHaveLength(2));
+      expect(supabase.rows('commands')[1]).toMatchObject({ type: 'STEP_RELEASE' });
+    });
+
+    it('repeats a held step only once the previous one has finished, and cancels it on release', async () => {
+      setUp('operator');
+      await renderDashboard();
+      await waitFor(() => expect(screen.getByTitle('Tighten step')).toBeEnabled());
+
+      fireEvent.keyDown(window, { code: 'ArrowUp' });
+      await waitFor(() => expect(supabase.rows('commands')).toHaveLength(1));
+
+      // Held past two repeat intervals while the gripper has not picked the step up
+      await act(() => new Promise(resolve => setTimeout(resolve, 1300)));
+      expect(supabase.rows('commands')).toHaveLength(1);
+
+      fireEvent.keyUp(window, { code: 'ArrowUp' });
+      await waitFor(() => expect(supabase.rows('commands')[0]).toMatchObject({ type: 'STEP_GRIP', status: 'CANCELLED' }));
+    });
+
+    it('keeps the controls of a viewer locked', async () => {
+      setUp('viewer');
+      await renderDashboard();
+
+      expect(screen.getByTitle('Tighten step')).toBeDisabled();
+      expect(screen.getByRole('button', { name: /emergency/i })).toBeDisabled();
+    });
+
+    it('locks motion while the e-stop is latched by another dashboard', async () => {
+      setUp('operator');
+      await renderDashboard();
+      const tighten = screen.getByTitle('Tighten step');
+      await waitFor(() => expect(tighten).toBeEnabled());
+
+      await act(() => supabase.from('system_state').update({ estop_active: true }).eq('device_id', DEVICE_ID));
+
+      await waitFor(() => expect(tighten).toBeDisabled());
+      expect(screen.getByRole('button', { name: /e-stop latched/i })).toBeInTheDocument();
+    });
+  });
+
+  describe('layout', () => {
+    let isNarrow = false;
+    const listeners = new Set();
+    const rotate = (narrow) => act(() => {
+      isNarrow = narrow;
+      listeners.forEach(listener => listener());
+    });
+
+    beforeEach(() => {
+      isNarrow = false;
+      vi.stubGlobal('matchMedia', (media) => ({
+        media,
+        get matches() { return isNarrow; },
+        addEventListener: (_event, listener) => listeners.add(listener),
+        removeEventListener: (_event, listener) => listeners.delete(listener)
+      }));
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      listeners.clear();
+    });
+
+    it('switches to the mobile controls when the screen turns narrow', async () => {
+      setUp('operator');
+      await renderDashboard();
+
+      rotate(true);
+      expect(await screen.findByTitle('Full dashboard')).toBeInTheDocument();
+      expect(screen.queryByText('Grip to Force')).not.toBeInTheDocument();
+    });
+
+    it('holds the layout while a force grip runs, and switches once it has ended', async () => {
+      setUp('operator');
+      await renderDashboard();
+
+      const start = await screen.findByRole('button', { name: /grip to 40%/i });
+      await waitFor(() => expect(start).toBeEnabled());
+      fireEvent.click(start);
+
+      rotate(true);
+      expect(await screen.findByText(/switching to the mobile layout once this finishes: force grip/i)).toBeInTheDocument();
+      expect(screen.getByText('Grip to Force')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /abort/i }));
+      expect(await screen.findByTitle('Full dashboard')).toBeInTheDocument();
+      expect(screen.queryByText(/switching to the mobile layout/i)).not.toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Bell, BellOff } from 'lucide-react';
+
+// Colours per alarm severity
+const SEVERITY_STYLES = {
+  critical: 'border-red-500/70 bg-red-500/10 text-red-400',
+  warning: 'border-amber-500/70 bg-amber-500/10 text-amber-400',
+  info: 'border-blue-500/70 bg-blue-500/10 text-blue-400'
+};
+
+/**
+ * Lists alarms that are still active or not yet acknowledged
+ */
+function AlarmBanner({ alarms, onAcknowledge, onAcknowledgeAll }) {
+  if (alarms.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      {alarms.map(alarm => (
+        <div
+          key={alarm.id}
+          className={`glass-card px-4 py-3 border-2 flex items-center justify-between gap-4 ${SEVERITY_STYLES[alarm.severity] || SEVERITY_STYLES.info} ${alarm.clearedAt ? 'opacity-60' : ''}`}
+        >
+          <div className="flex items-center gap-3">
+            <Bell className={`w-5 h-5 ${alarm.clearedAt || alarm.acknowledged ? '' : 'pulse-led'}`} />
+            <div>
+              <div className="text-xs font-black uppercase tracking-widest">
+                {alarm.severity} {alarm.clearedAt ? '· cleared' : alarm.acknowledged ? '· acknowledged' : ''}
+              </div>
+              <div className="text-xs text-slate-300">{alarm.message}</div>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <span className="text-[10px] font-mono text-slate-500">{new Date(alarm.triggeredAt).toLocaleTimeString()}</span>
+            {!alarm.acknowledged && (
+              <button onClick={() => onAcknowledge(alarm.id)} className="btn btn-xs btn-outline">ACK</button>
+            )}
+          </div>
+        </div>
+      ))}
+      {alarms.filter(a => !a.acknowledged).length > 1 && (
+        <button onClick={onAcknowledgeAll} className="btn btn-xs btn-ghost text-slate-400">
+          <BellOff className="w-3 h-3 mr-1" /> ACKNOWLEDGE ALL
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default AlarmBanner;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { ALARM_FIELDS, ALARM_SEVERITIES, ALARM_ACTIONS, DEFAULT_ALARM_RULES } from '../lib/alarms';
+
+/**
+ * Editable table of alarm rules: threshold, hysteresis, duration, severity and auto action
+ */
+function AlarmRulesEditor({ rules, onChange }) {
+  const updateRule = (id, changes) => onChange(rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+  const removeRule = (id) => onChange(rules.filter(rule => rule.id !== id));
+  const addRule = () => onChange([
+    ...rules,
+    { id: `rule-${Date.now()}`, name: 'New rule', field: 'motor_current', operator: '>', threshold: 1, hysteresis: 0, durationMs: 0, severity: 'warning', action: null, enabled: true }
+  ]);
+
+  const inputClass = 'input input-xs input-bordered bg-black/20 border-slate-800';
+  const selectClass = 'select select-xs select-bordered bg-black/20 border-slate-800';
+
+  return (
+    <div className="space-y-2">
+      {rules.map(rule => (
+        <div key={rule.id} className="p-3 bg-slate-900/50 rounded-lg border border-slate-800/50 space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              className="toggle toggle-xs toggle-primary"
+              checked={rule.enabled}
+              onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+            />
+            <input
+              value={rule.name}
+              onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+              className={`${inputClass} flex-1 font-bold`}
+            />
+            <button onClick={() => removeRule(rule.id)} className="btn btn-ghost btn-xs text-slate-500" title="Delete rule">
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-[10px] text-slate-500 font-bold uppercase">
+            <select value={rule.field} onChange={(e) => updateRule(rule.id, { field: e.target.value })} className={selectClass}>
+              {ALARM_FIELDS.map(f => <option key={f.key} value={f.key}>{f.label} ({f.unit})</option>)}
+            </select>
+            <select value={rule.operator} onChange={(e) => updateRule(rule.id, { operator: e.target.value })} className={selectClass}>
+              <option value=">">&gt;</option>
+              <option value="<">&lt;</option>
+            </select>
+            <input
+              type="number"
+              step="any"
+              value={rule.threshold}
+              onChange={(e) => updateRule(rule.id, { threshold: Number(e.target.value) })}
+              className={`${inputClass} w-20`}
+            />
+            for
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={rule.durationMs / 1000}
+              onChange={(e) => updateRule(rule.id, { durationMs: Math.max(0, Number(e.target.value)) * 1000 })}
+              className={`${inputClass} w-16`}
+            />
+            s · hysteresis
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={rule.hysteresis}
+              onChange={(e) => updateRule(rule.id, { hysteresis: Math.max(0, Number(e.target.value)) })}
+              className={`${inputClass} w-16`}
+            />
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-[10px] text-slate-500 font-bold uppercase">
+            Severity
+            <select value={rule.severity} onChange={(e) => updateRule(rule.id, { severity: e.target.value, action: e.target.value === 'critical' ? rule.action : null })} className={selectClass}>
+              {ALARM_SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            {rule.severity === 'critical' && (
+              <>
+                Auto action
+                <select value={rule.action || ''} onChange={(e) => updateRule(rule.id, { action: e.target.value || null })} className={selectClass}>
+                  <option value="">None</option>
+                  {ALARM_ACTIONS.map(a => <option key={a} value={a}>{a === 'ESTOP' ? 'EMERGENCY STOP' : a}</option>)}
+                </select>
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <button onClick={addRule} className="btn btn-xs btn-outline border-slate-700 text-slate-400">
+          <Plus className="w-3 h-3 mr-1" /> ADD RULE
+        </button>
+        <button onClick={() => onChange(DEFAULT_ALARM_RULES)} className="btn btn-xs btn-ghost text-slate-500">
+          RESTORE DEFAULTS
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AlarmRulesEditor;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BarChart3, AlertTriangle, Power } from 'lucide-react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { MOTION_COMMANDS } from '../lib/commands';
+import {
+  ANALYTICS_RANGES,
+  fetchGripCycles,
+  fetchBatteryEstimate,
+  summarizeByDay,
+  findAnomalies
+} from '../lib/analytics';
+import { MAX_RANGE_ROWS } from '../lib/rangeQuery';
+
+// Per-cycle metrics shown in the summary and the daily trend chart
+const CYCLE_METRICS = [
+  { key: 'meanCurrent', label: 'Mean Current', unit: 'A', digits: 2, color: '#10b981' },
+  { key: 'peakCurrent', label: 'Peak Current', unit: 'A', digits: 2, color: '#f59e0b' },
+  { key: 'energyJ', label: 'Energy', unit: 'J', digits: 1, color: '#a78bfa' },
+  { key: 'timeToForce', label: 'Time to Force', unit: 's', digits: 1, color: '#60a5fa' },
+  { key: 'peakFsr', label: 'Peak FSR', unit: '%', digits: 0, color: '#3b82f6' }
+];
+
+const formatMetric = (value, { unit, digits }) =>
+  (value === null || value === undefined ? '--' : `${Number(value).toFixed(digits)}${unit}`);
+
+const average = (cycles, key) => {
+  const values = cycles.map(c => c[key]).filter(v => v !== null && v !== undefined);
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+};
+
+/**
+ * Motor and FSR wear view: grip cycles (motor runs as measured by the firmware) with
+ * their current, energy, time to force and peak FSR, daily trends per grip
+ * type with drift flagged, and the battery runtime left at the current rate
+ */
+function AnalyticsPage({ deviceId, onError }) {
+  const [rangeKey, setRangeKey] = useState(ANALYTICS_RANGES[0].key);
+  const [type, setType] = useState('GRIP');
+  const [metricKey, setMetricKey] = useState(CYCLE_METRICS[0].key);
+  const [result, setResult] = useState({ key: null, cycles: [], truncated: false });
+  const [battery, setBattery] = useState(null);
+
+  const queryKey = `${deviceId}#${rangeKey}`;
+  const isLoading = result.key !== queryKey;
+
+  useEffect(() => {
+    let cancelled = false;
+    const { days } = ANALYTICS_RANGES.find(r => r.key === rangeKey);
+    const to = new Date();
+    fetchGripCycles(deviceId, new Date(to.getTime() - days * 24 * 60 * 60 * 1000), to).then(({ cycles, truncated, error }) => {
+      if (cancelled) return;
+      if (error) onError?.(error);
+      setResult({ key: queryKey, cycles, truncated });
+    });
+    return () => { cancelled = true; };
+  }, [deviceId, rangeKey, queryKey, onError]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchBatteryEstimate(deviceId).then(({ estimate, error }) => {
+      if (cancelled) return;
+      if (error) onError?.(error);
+      setBattery(estimate);
+    });
+    return () => { cancelled = true; };
+  }, [deviceId, onError]);
+
+  const dailyStats = useMemo(() => summarizeByDay(result.cycles), [result.cycles]);
+  const anomalies = useMemo(() => findAnomalies(dailyStats), [dailyStats]);
+
+  const typeCycles = result.cycles.filter(c => c.type === type);
+  const typeDays = dailyStats.filter(d => d.type === type);
+  const metric = CYCLE_METRICS.find(m => m.key === metricKey);
+  const selectClass = 'select select-xs select-bordered bg-black/20 border-slate-800';
+
+  return (
+    <div className="glass-card p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px] flex items-center gap-2">
+          <BarChart3 className="w-3 h-3" /> Grip Cycle Analytics
+        </h2>
+        <div className="flex gap-2">
+          <select value={type} onChange={(e) => setType(e.target.value)} className={selectClass}>
+            {MOTION_COMMANDS.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <div className="join">
+            {ANALYTICS_RANGES.map(range => (
+              <button
+                key={range.key}
+                onClick={() => setRangeKey(range.key)}
+                className={`join-item btn btn-xs ${rangeKey === range.key ? 'btn-primary' : 'btn-ghost text-slate-400'}`}
+              >
+                {range.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {result.truncated && (
+        <div className="text-[10px] text-orange-400 font-mono">
+          Stopped at the {MAX_RANGE_ROWS}-cycle limit: the most recent cycles of this range are not included.
+        </div>
+      )}
+
+      {/* 🔋 Battery discharge and runtime estimate */}
+      <div className="flex items-center gap-4 p-3 bg-slate-900/50 rounded-xl border border-slate-800/50">
+        <Power className="w-6 h-6 text-green-400" />
+        {battery ? (
+          <div className="flex flex-wrap gap-6 text-xs font-bold uppercase text-slate-400">
+            <span>Battery <span className="text-slate-200">{battery.battery}%</span></span>
+            <span>Discharge <span className="text-slate-200">{battery.ratePerHour.toFixed(1)}%/h</span></span>
+            <span>
+              Est. runtime{' '}
+              <span className="text-slate-200">
+                {battery.remainingHours === null ? '--' : `${battery.remainingHours.toFixed(1)} h`}
+              </span>
+            </span>
+            <span className="text-slate-600">since {new Date(battery.since).toLocaleTimeString()}</span>
+          </div>
+        ) : (
+          <span className="text-xs text-slate-600 italic">Not enough discharge in the last hour to estimate runtime...</span>
+        )}
+      </div>
+
+      {/* Averages per cycle of the selected grip type */}
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+        <div className="p-3 bg-slate-900/50 rounded-xl border border-slate-800/50">
+          <div className="text-[10px] text-slate-500 font-bold uppercase">Cycles</div>
+          <div className="text-lg font-black">{typeCycles.length}</div>
+        </div>
+        {CYCLE_METRICS.map(m => (
+          <div key={m.key} className="p-3 bg-slate-900/50 rounded-xl border border-slate-800/50">
+            <div className="text-[10px] text-slate-500 font-bold uppercase">Avg {m.label}</div>
+            <div className="text-lg font-black" style={{ color: m.color }}>{formatMetric(average(typeCycles, m.key), m)}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* 📈 Daily trend of one metric for the selected grip type */}
+      <div className="space-y-2">
+        <div className="flex justify-between items-center">
+          <span className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">Daily Trend · {type}</span>
+          <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} className={selectClass}>
+            {CYCLE_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </div>
+        <div className="h-56">
+          {typeDays.length > 0 ? (
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={typeDays}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2d3748" vertical={false} />
+                <XAxis dataKey="day" stroke="#4a5568" fontSize={10} tickLine={false} axisLine={false} />
+                <YAxis stroke="#4a5568" fontSize={10} tickLine={false} axisLine={false} />
+                <Tooltip
+                  formatter={(value) => formatMetric(value, metric)}
+                  contentStyle={{ backgroundColor: '#1a1a2e', border: '1px solid #2d3748', borderRadius: '8px', fontSize: '12px' }}
+                  itemStyle={{ color: '#e2e8f0' }}
+                />
+                <Line type="monotone" dataKey={metric.key} name={metric.label} stroke={metric.color} strokeWidth={2} connectNulls isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="h-full flex items-center justify-center text-xs text-slate-700 italic">
+              {isLoading ? 'Loading cycles...' : `No executed ${type} commands in this range...`}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* ⚠️ Days on which a grip type drifted from its own history */}
+      <div className="space-y-2">
+        <span className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">Wear Flags</span>
+        {anomalies.length === 0 ? (
+          <div className="text-xs text-slate-700 italic">No drift detected in this range...</div>
+        ) : (
+          <ul className="space-y-1">
+            {anomalies.map(a => {
+              const m = CYCLE_METRICS.find(cm => cm.key === a.key);
+              return (
+                <li key={`${a.day}-${a.type}-${a.key}`} className="flex items-center gap-3 px-3 py-2 rounded-lg border border-amber-500/30 bg-amber-500/10 text-xs">
+                  <AlertTriangle className="w-3 h-3 text-amber-400" />
+                  <span className="font-mono text-slate-400">{a.day}</span>
+                  <span className="font-bold text-slate-200">{a.type}</span>
+                  <span className="text-amber-400">{a.label}</span>
+                  <span className="ml-auto font-mono text-slate-400">
+                    {formatMetric(a.value, m)} vs {formatMetric(a.baseline, m)} ({a.change > 0 ? '+' : ''}{Math.round(a.change * 100)}%)
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {/* Latest cycles of the selected type */}
+      <div className="overflow-x-auto">
+        <table className="table table-xs font-mono">
+          <thead className="text-slate-500">
+            <tr>
+              <th>Executed</th>
+              {CYCLE_METRICS.map(m => <th key={m.key}>{m.label}</th>)}
+              <th>Run</th>
+            </tr>
+          </thead>
+          <tbody className="text-slate-300">
+            {typeCycles.slice(-20).reverse().map(cycle => (
+              <tr key={cycle.id}>
+                <td className="whitespace-nowrap">{new Date(cycle.time).toLocaleString()}</td>
+                {CYCLE_METRICS.map(m => <td key={m.key}>{formatMetric(cycle[m.key], m)}</td>)}
+                <td>{formatMetric(cycle.runS, { unit: 's', digits: 2 })}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default AnalyticsPage;
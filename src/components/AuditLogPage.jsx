@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import { ScrollText, Search, Eye } from 'lucide-react';
+import { COMMAND_TYPES, COMMAND_STATUS } from '../lib/commands';
+import { AUDIT_PAGE_SIZE, fetchAuditLog } from '../lib/audit';
+import { fetchSnapshotUrl } from '../lib/camera';
+
+/**
+ * Seconds between two timestamps, e.g. "+1.4s"
+ */
+const formatDelay = (from, to) => (from && to
+  ? `+${((new Date(to) - new Date(from)) / 1000).toFixed(1)}s`
+  : '--');
+
+/**
+ * Peak reading with its unit, or "--" when the firmware measured no motor run for the command
+ */
+const formatPeak = (value, unit) => (value === null || value === undefined ? '--' : `${value}${unit}`);
+
+/**
+ * Camera frame stored when the command executed; the signed link is only
+ * requested once the reviewer asks for it
+ */
+function SnapshotCell({ path, onError }) {
+  const [url, setUrl] = useState(null);
+
+  if (!path) return '--';
+  if (url) {
+    return (
+      <a href={url} target="_blank" rel="noreferrer">
+        <img src={url} alt="Snapshot at execution" className="h-12 rounded border border-slate-700" />
+      </a>
+    );
+  }
+  return (
+    <button
+      onClick={async () => {
+        const { url: signedUrl, error } = await fetchSnapshotUrl(path);
+        if (error) onError?.(error);
+        else setUrl(signedUrl);
+      }}
+      className="btn btn-xs btn-ghost text-slate-400"
+    >
+      <Eye className="w-3 h-3" /> VIEW
+    </button>
+  );
+}
+
+/**
+ * Turns the filter form into query parameters; "to" includes the whole day
+ */
+const toQuery = ({ deviceId, type, status, user, from, to }) => ({
+  deviceId,
+  type,
+  status,
+  user,
+  from: from ? new Date(`${from}T00:00:00`) : null,
+  to: to ? new Date(`${to}T23:59:59.999`) : null
+});
+
+/**
+ * Searchable record of every command: who sent it from which session, when it
+ * was acknowledged and executed, the peak force/current during the action and
+ * what the camera saw when a grip or release executed
+ */
+function AuditLogPage({ deviceId, devices, onError }) {
+  const [filters, setFilters] = useState({ deviceId, type: '', status: '', user: '', from: '', to: '' });
+  const [userDraft, setUserDraft] = useState('');
+  const [page, setPage] = useState(0);
+  const [result, setResult] = useState({ key: null, rows: [], hasMore: false });
+
+  const queryKey = `${JSON.stringify(filters)}#${page}`;
+  const isLoading = result.key !== queryKey;
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAuditLog(toQuery(filters), page).then(({ rows, error }) => {
+      if (cancelled) return;
+      if (error) onError?.(error);
+      setResult(prev => ({
+        key: queryKey,
+        rows: page === 0 ? rows : [...prev.rows, ...rows],
+        hasMore: rows.length === AUDIT_PAGE_SIZE
+      }));
+    });
+    return () => { cancelled = true; };
+  }, [filters, page, queryKey, onError]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const selectClass = 'select select-xs select-bordered bg-black/20 border-slate-800';
+  const inputClass = 'input input-xs input-bordered bg-black/20 border-slate-800';
+
+  return (
+    <div className="glass-card p-6 space-y-4">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px] flex items-center gap-2">
+        <ScrollText className="w-3 h-3" /> Command Audit Trail
+      </h2>
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2">
+        <select value={filters.deviceId} onChange={(e) => updateFilter('deviceId', e.target.value)} className={selectClass}>
+          <option value="">All units</option>
+          {devices.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+        </select>
+        <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)} className={selectClass}>
+          <option value="">All types</option>
+          {COMMAND_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={selectClass}>
+          <option value="">All statuses</option>
+          {Object.values(COMMAND_STATUS).map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateFilter('user', userDraft.trim());
+          }}
+          className="relative"
+        >
+          <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-3 h-3 text-slate-500" />
+          <input
+            placeholder="User email"
+            value={userDraft}
+            onChange={(e) => setUserDraft(e.target.value)}
+            onBlur={() => updateFilter('user', userDraft.trim())}
+            className={`${inputClass} pl-6`}
+          />
+        </form>
+        <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={inputClass} />
+        <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={inputClass} />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="table table-xs font-mono">
+          <thead className="text-slate-500">
+            <tr>
+              <th>Created</th>
+              <th>Unit</th>
+              <th>User</th>
+              <th>Session</th>
+              <th>Type</th>
+              <th>Value</th>
+              <th>Status</th>
+              <th>Acked</th>
+              <th>Done</th>
+              <th>Peak FSR</th>
+              <th>Peak Current</th>
+              <th>Snapshot</th>
+            </tr>
+          </thead>
+          <tbody className="text-slate-300">
+            {result.rows.map(row => (
+              <tr key={row.id}>
+                <td className="whitespace-nowrap">{new Date(row.created_at).toLocaleString()}</td>
+                <td>{row.device_id}</td>
+                <td>{row.issued_by_email || <span className="text-slate-600">device</span>}</td>
+                <td title={row.session_id}>{row.session_id ? row.session_id.slice(0, 8) : '--'}</td>
+                <td className="font-bold">{row.type}</td>
+                <td className="max-w-[160px] truncate" title={row.value}>{row.value || '--'}</td>
+                <td>{row.status}</td>
+                <td>{formatDelay(row.created_at, row.acked_at)}</td>
+                <td>{formatDelay(row.created_at, row.completed_at)}</td>
+                <td>{formatPeak(row.peak_fsr, '%')}</td>
+                <td>{formatPeak(row.peak_current, 'A')}</td>
+                <td><SnapshotCell path={row.snapshot_path} onError={onError} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!isLoading && result.rows.length === 0 && (
+          <div className="text-xs text-slate-700 italic py-4">No commands match these filters...</div>
+        )}
+      </div>
+
+      {(isLoading || result.hasMore) && (
+        <button onClick={() => setPage(page + 1)} disabled={isLoading} className="btn btn-xs btn-ghost text-slate-400 w-full">
+          {isLoading ? 'LOADING...' : 'LOAD MORE'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default AuditLogPage;
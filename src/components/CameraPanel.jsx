@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, CameraOff, Link, ImageDown, Video, CircleStop } from 'lucide-react';
+import { COMMAND_STATUS } from '../lib/commands';
+import { getDashboardSessionId } from '../lib/audit';
+import {
+  SNAPSHOT_COMMANDS,
+  loadCameraIp,
+  saveCameraIp,
+  captureFilename,
+  captureFrame,
+  createStreamRecorder,
+  uploadCommandSnapshot
+} from '../lib/camera';
+import { downloadBlob } from '../lib/exportData';
+
+/**
+ * Live ESP32-CAM stream with PNG snapshots and WebM recording. When
+ * storeSnapshots is set, GRIP/RELEASE commands sent from this dashboard
+ * are captured as they execute and stored with the command.
+ */
+function CameraPanel({ device, commandBus, storeSnapshots, onActiveChange, onLog }) {
+  const deviceId = device.id;
+  const [cameraIp, setCameraIp] = useState(() => loadCameraIp(device)); // ESP32-CAM address, e.g. 192.168.1.50:81/stream
+  const [isCameraActive, setIsCameraActive] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
+  const imgRef = useRef(null);      // Stream <img>, the source of every capture
+  const recorderRef = useRef(null); // Active stream recorder
+
+  const updateCameraIp = (value) => {
+    setCameraIp(value);
+    saveCameraIp(deviceId, value);
+  };
+
+  const takeSnapshot = async () => {
+    const { blob, error } = await captureFrame(imgRef.current);
+    if (error) {
+      onLog(`Error: Snapshot failed: ${error.message}`);
+      return;
+    }
+    downloadBlob(`${captureFilename(deviceId)}.png`, blob);
+    onLog('Camera snapshot saved');
+  };
+
+  const startRecording = () => {
+    const recorder = createStreamRecorder(imgRef.current);
+    if (recorder.error) {
+      onLog(`Error: Recording failed: ${recorder.error.message}`);
+      return;
+    }
+    recorderRef.current = recorder;
+    setIsRecording(true);
+    onLog('Camera recording started');
+  };
+
+  const stopRecording = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+    setIsRecording(false);
+    const { blob, error } = await recorder.stop();
+    if (error) {
+      onLog(`Error: Recording failed: ${error.message}`);
+      return;
+    }
+    downloadBlob(`${captureFilename(deviceId)}.webm`, blob);
+    onLog('Camera recording saved');
+  };
+
+  // 📸 GRIP-EVENT CAPTURE: Stores what the jaw holds once this dashboard's GRIP/RELEASE executes
+  useEffect(() => {
+    if (!storeSnapshots) return;
+    const sessionId = getDashboardSessionId();
+
+    return commandBus.subscribe(async (update) => {
+      if (update.status !== COMMAND_STATUS.EXECUTED || !SNAPSHOT_COMMANDS.includes(update.type)) return;
+      if (update.session_id !== sessionId || !imgRef.current) return;
+
+      const { blob, error: captureError } = await captureFrame(imgRef.current);
+      if (captureError) {
+        onLog(`Error: Could not capture ${update.type} snapshot: ${captureError.message}`);
+        return;
+      }
+      const { error } = await uploadCommandSnapshot(deviceId, update.id, blob);
+      onLog(error
+        ? `Error: Could not store ${update.type} snapshot: ${error.message}`
+        : `Snapshot of ${update.type} stored with the command`);
+    });
+  }, [deviceId, commandBus, storeSnapshots, onLog]);
+
+  // A running recording holds the dashboard layout, so a rotation does not cut it off
+  useEffect(() => {
+    if (!isRecording) return;
+    onActiveChange?.('recording', true);
+    return () => onActiveChange?.('recording', false);
+  }, [isRecording, onActiveChange]);
+
+  // Never leave a recorder running after the panel goes away
+  useEffect(() => () => { recorderRef.current?.stop(); }, []);
+
+  const toggleCamera = () => {
+    if (isCameraActive) stopRecording();
+    setIsCameraActive(!isCameraActive);
+  };
+
+  return (
+    <div className="glass-card p-5 overflow-hidden">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4 gap-4">
+        <div>
+          <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px]">Visual Monitoring</h2>
+          <div className="flex items-center gap-2 mt-1">
+            <div className={`w-2 h-2 rounded-full ${isCameraActive ? 'bg-red-500 pulse-led' : 'bg-slate-600'}`}></div>
+            <span className="text-[10px] text-slate-500 font-bold uppercase">
+              {isCameraActive ? 'LIVE FEED ACTIVE' : 'CAMERA STANDBY'}
+              {storeSnapshots && ' · GRIP EVENTS CAPTURED'}
+            </span>
+          </div>
+        </div>
+
+        <div className="flex w-full md:w-auto gap-2">
+          <div className="relative flex-1">
+            <Link className="absolute left-3 top-1/2 -translate-y-1/2 w-3 h-3 text-slate-500" />
+            <input
+              type="text"
+              placeholder="Camera IP"
+              className="input input-sm input-bordered w-full pl-8 bg-black/20 text-xs border-slate-800"
+              value={cameraIp}
+              onChange={(e) => updateCameraIp(e.target.value)}
+            />
+          </div>
+          <button onClick={takeSnapshot} disabled={!isCameraActive} className="btn btn-sm btn-ghost" title="Save snapshot (PNG)">
+            <ImageDown className="w-4 h-4" />
+          </button>
+          <button
+            onClick={isRecording ? stopRecording : startRecording}
+            disabled={!isCameraActive}
+            className={`btn btn-sm ${isRecording ? 'btn-error' : 'btn-ghost'}`}
+            title={isRecording ? 'Stop and save recording (WebM)' : 'Record stream'}
+          >
+            {isRecording ? <CircleStop className="w-4 h-4" /> : <Video className="w-4 h-4" />}
+          </button>
+          <button
+            onClick={toggleCamera}
+            className={`btn btn-sm ${isCameraActive ? 'btn-error' : 'btn-primary'}`}
+          >
+            {isCameraActive ? <CameraOff className="w-4 h-4" /> : <Camera className="w-4 h-4" />}
+          </button>
+        </div>
+      </div>
+
+      <div className="relative aspect-video max-h-[450px] mx-auto bg-black/40 rounded-xl border border-slate-800 overflow-hidden group">
+        {isCameraActive && cameraIp ? (
+          <img
+            ref={imgRef}
+            src={`http://${cameraIp}`}
+            crossOrigin="anonymous"
+            alt="ESP32-CAM Stream"
+            className="w-full h-full object-contain"
+            onError={() => {
+              stopRecording();
+              setIsCameraActive(false);
+              onLog('Error: Failed to connect to Camera. Check IP address.');
+            }}
+          />
+        ) : (
+          <div className="absolute inset-0 flex flex-col items-center justify-center text-slate-600">
+            <CameraOff className="w-12 h-12 mb-3 opacity-20" />
+            <p className="text-xs font-bold tracking-widest opacity-40">NO SIGNAL DETECTED</p>
+          </div>
+        )}
+
+        {isRecording && (
+          <div className="absolute top-4 right-4 px-2 py-1 bg-black/60 backdrop-blur-md rounded text-[10px] font-mono text-red-500 font-bold border border-red-500/30">
+            REC ●
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CameraPanel;
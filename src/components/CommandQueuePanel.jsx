@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, Timer } from 'lucide-react';
+import { isTerminalStatus } from '../lib/commands';
+
+// Badge colour for each command status
+const STATUS_STYLES = {
+  PENDING: 'badge-warning',
+  ACKED: 'badge-info',
+  EXECUTED: 'badge-success',
+  FAILED: 'badge-error',
+  TIMED_OUT: 'badge-error',
+  CANCELLED: 'badge-ghost'
+};
+
+/**
+ * Formats the elapsed time of a command as "4.2s" / "1m 05s"
+ */
+const formatAge = (ms) => {
+  const seconds = Math.max(0, ms) / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  return `${Math.floor(seconds / 60)}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+};
+
+/**
+ * Lists in-flight and recently finished commands with their age and status
+ */
+function CommandQueuePanel({ commands, timeoutMs, onTimeoutChange, onRetry }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick once a second so ages update while anything is still in flight
+  const hasOpenCommands = commands.some(c => !isTerminalStatus(c.status));
+  useEffect(() => {
+    if (!hasOpenCommands) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasOpenCommands]);
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px]">Pending Commands</h2>
+        <label className="flex items-center gap-2 text-[10px] text-slate-500 font-bold uppercase">
+          <Timer className="w-3 h-3" /> Timeout
+          <input
+            type="number"
+            min="1"
+            max="120"
+            value={timeoutMs / 1000}
+            onChange={(e) => onTimeoutChange(Math.max(1, Number(e.target.value) || 1) * 1000)}
+            className="input input-xs input-bordered w-14 bg-black/20 border-slate-800"
+          />
+          s
+        </label>
+      </div>
+
+      <div className="space-y-2">
+        {commands.map(command => {
+          const endedAt = isTerminalStatus(command.status) ? (command.completedAt || now) : now;
+          return (
+            <div key={command.id} className="flex items-center justify-between gap-4 px-3 py-2 bg-slate-900/50 rounded-lg border border-slate-800/50 text-xs">
+              <div className="flex items-center gap-3">
+                <span className="font-mono font-bold text-slate-300">{command.type}</span>
+                {command.attempt > 1 && <span className="text-[10px] text-slate-500">retry #{command.attempt - 1}</span>}
+              </div>
+              <div className="flex items-center gap-3">
+                <span className="font-mono text-slate-500">{formatAge(endedAt - command.sentAt)}</span>
+                <span className={`badge badge-sm ${STATUS_STYLES[command.status] || 'badge-ghost'}`}>{command.status}</span>
+                {(command.status === 'FAILED' || command.status === 'TIMED_OUT') && (
+                  <button onClick={() => onRetry(command)} className="btn btn-ghost btn-xs text-slate-400" title="Send again">
+                    <RefreshCw className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+        {commands.length === 0 && <div className="text-xs text-slate-700 italic">No commands sent yet...</div>}
+      </div>
+    </div>
+  );
+}
+
+export default CommandQueuePanel;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { CONTROL_ACTIONS, DEFAULT_CONTROL_BINDINGS, MIN_REPEAT_MS, describeKey } from '../lib/controls';
+
+// Buttons of the standard gamepad layout
+const GAMEPAD_BUTTONS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', '↑', '↓', '←', '→', 'Home'];
+
+/**
+ * Keyboard and gamepad bindings per action, the held-step rate and dead-man mode.
+ * A key is bound by clicking its button and pressing the new key.
+ */
+function ControlBindingsEditor({ bindings, onChange }) {
+  const [capturing, setCapturing] = useState(null); // Action waiting for a key press
+
+  const update = (changes) => onChange({ ...bindings, ...changes });
+  const bindKey = (action, code) => update({ keyboard: { ...bindings.keyboard, [action]: code } });
+  const bindButton = (action, index) => update({ gamepad: { ...bindings.gamepad, [action]: index } });
+
+  const selectClass = 'select select-xs select-bordered bg-black/20 border-slate-800';
+  const inputClass = 'input input-xs input-bordered bg-black/20 border-slate-800';
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-2 text-[10px] font-bold uppercase text-slate-500 items-center">
+        <span>Action</span>
+        <span>Key</span>
+        <span>Gamepad</span>
+        {CONTROL_ACTIONS.map(action => (
+          <React.Fragment key={action.key}>
+            <span className="text-slate-300">{action.label}</span>
+            <button
+              onClick={() => setCapturing(action.key)}
+              onKeyDown={(e) => {
+                if (capturing !== action.key) return;
+                e.preventDefault();
+                bindKey(action.key, e.code);
+                setCapturing(null);
+              }}
+              onBlur={() => setCapturing(null)}
+              className={`btn btn-xs font-mono ${capturing === action.key ? 'btn-primary' : 'btn-ghost border-slate-800'}`}
+            >
+              {capturing === action.key ? 'PRESS A KEY...' : describeKey(bindings.keyboard[action.key])}
+            </button>
+            <select
+              value={bindings.gamepad[action.key]}
+              onChange={(e) => bindButton(action.key, Number(e.target.value))}
+              className={selectClass}
+            >
+              {GAMEPAD_BUTTONS.map((label, index) => <option key={label} value={index}>{label}</option>)}
+            </select>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-[10px] font-bold uppercase text-slate-500">
+        <label className="flex items-center gap-2">
+          Held step every
+          <input
+            type="number"
+            min={MIN_REPEAT_MS}
+            step="50"
+            value={bindings.repeatMs}
+            onChange={(e) => update({ repeatMs: Number(e.target.value) })}
+            className={`${inputClass} w-20`}
+          />
+          ms
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            className="toggle toggle-xs toggle-warning"
+            checked={bindings.deadman}
+            onChange={(e) => update({ deadman: e.target.checked })}
+          />
+          Dead-man mode
+        </label>
+        <button onClick={() => onChange(DEFAULT_CONTROL_BINDINGS)} className="btn btn-xs btn-ghost text-slate-400 ml-auto">
+          <RotateCcw className="w-3 h-3 mr-1" /> DEFAULTS
+        </button>
+      </div>
+      {bindings.deadman && (
+        <p className="text-[10px] text-slate-600 font-bold uppercase">
+          Motion keys and buttons only work while the dead-man input is held; letting go or leaving the tab sends a STOP
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ControlBindingsEditor;
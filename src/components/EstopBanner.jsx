@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { AlertTriangle, ShieldCheck } from 'lucide-react';
+
+/**
+ * Full-width warning shown while the emergency stop is latched.
+ * Re-arming is reserved for admins, who must confirm the gripper area is clear.
+ */
+function EstopBanner({ estop, canRearm, onRearm }) {
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [isAreaClear, setIsAreaClear] = useState(false);
+  const [isRearming, setIsRearming] = useState(false);
+
+  if (!estop.active) return null;
+
+  const closeDialog = () => {
+    setIsConfirming(false);
+    setIsAreaClear(false);
+  };
+
+  const confirmRearm = async () => {
+    setIsRearming(true);
+    await onRearm();
+    setIsRearming(false);
+    closeDialog();
+  };
+
+  return (
+    <>
+      <div className="glass-card p-4 border-2 border-red-500/70 bg-red-500/10 flex flex-col md:flex-row items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <AlertTriangle className="w-8 h-8 text-red-400 pulse-led" />
+          <div>
+            <div className="text-sm font-black text-red-400 tracking-widest uppercase">Emergency Stop Latched</div>
+            <div className="text-[10px] text-slate-400 font-bold uppercase">
+              All motion commands are locked
+              {estop.triggeredAt && ` since ${new Date(estop.triggeredAt).toLocaleTimeString()}`}
+            </div>
+          </div>
+        </div>
+        {canRearm ? (
+          <button onClick={() => setIsConfirming(true)} className="btn btn-sm btn-outline btn-warning">
+            <ShieldCheck className="w-4 h-4 mr-2" /> RE-ARM SYSTEM
+          </button>
+        ) : (
+          <span className="text-[10px] text-slate-400 font-bold uppercase">An admin must re-arm the system</span>
+        )}
+      </div>
+
+      {/* Re-arm confirmation dialog */}
+      <dialog className={`modal ${isConfirming ? 'modal-open' : ''}`}>
+        <div className="modal-box glass-card bg-slate-900/90">
+          <h3 className="font-bold text-lg text-red-400 uppercase tracking-wider">Re-arm Gripper?</h3>
+          <p className="py-4 text-sm text-slate-300">
+            Re-arming unlocks the gripper for every connected dashboard. Only continue once the cause of the
+            emergency stop has been dealt with.
+          </p>
+          <label className="flex items-center gap-3 text-xs font-bold text-slate-400 uppercase cursor-pointer">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-warning checkbox-sm"
+              checked={isAreaClear}
+              onChange={(e) => setIsAreaClear(e.target.checked)}
+            />
+            I have verified the gripper area is clear
+          </label>
+          <div className="modal-action">
+            <button onClick={closeDialog} className="btn btn-sm btn-ghost">Cancel</button>
+            <button
+              onClick={confirmRearm}
+              disabled={!isAreaClear || isRearming}
+              className="btn btn-sm btn-warning"
+            >
+              {isRearming ? 'RE-ARMING...' : 'CONFIRM RE-ARM'}
+            </button>
+          </div>
+        </div>
+      </dialog>
+    </>
+  );
+}
+
+export default EstopBanner;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { HISTORY_RANGES } from '../lib/telemetryHistory';
+import { MAX_RANGE_ROWS } from '../lib/rangeQuery';
+import { TIMELINE_COLUMNS, LOG_COLUMNS, fetchTimeline, serializeRows, downloadFile } from '../lib/exportData';
+
+/**
+ * Timestamp used in export filenames, e.g. 20260118-1432
+ */
+const fileStamp = () => new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+
+/**
+ * Downloads telemetry + commands for a range, or the on-screen log buffer, as CSV or NDJSON
+ */
+function ExportPanel({ deviceId, logs, onLog }) {
+  const [rangeKey, setRangeKey] = useState(HISTORY_RANGES[1].key);
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const resolveRange = () => {
+    if (rangeKey === 'custom') {
+      return { from: new Date(customFrom), to: customTo ? new Date(customTo) : new Date() };
+    }
+    const range = HISTORY_RANGES.find(r => r.key === rangeKey);
+    const to = new Date();
+    return { from: new Date(to.getTime() - range.ms), to };
+  };
+
+  const exportTimeline = async () => {
+    const { from, to } = resolveRange();
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      onLog('Error: Export range needs a start before its end');
+      return;
+    }
+
+    setIsExporting(true);
+    const { rows, truncated, error } = await fetchTimeline(deviceId, from, to);
+    setIsExporting(false);
+
+    if (error) {
+      onLog(`Error: Export failed: ${error.message}`);
+      return;
+    }
+    downloadFile(`${deviceId}-timeline-${fileStamp()}`, serializeRows(rows, TIMELINE_COLUMNS, format), format);
+    onLog(`Exported ${rows.length} timeline rows as ${format.toUpperCase()}`);
+    if (truncated) {
+      onLog(`Error: Export hit the ${MAX_RANGE_ROWS}-row limit, the end of the range is missing. Export a shorter range.`);
+    }
+  };
+
+  const exportLogs = () => {
+    downloadFile(`${deviceId}-logs-${fileStamp()}`, serializeRows(logs, LOG_COLUMNS, format), format);
+  };
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px] flex items-center gap-2">
+          <Download className="w-3 h-3" /> Data Export
+        </h2>
+        <div className="join">
+          {['csv', 'ndjson'].map(f => (
+            <button
+              key={f}
+              onClick={() => setFormat(f)}
+              className={`btn btn-xs join-item ${format === f ? 'btn-primary' : 'btn-ghost'}`}
+            >
+              {f.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-2">
+        <select
+          value={rangeKey}
+          onChange={(e) => setRangeKey(e.target.value)}
+          className="select select-xs select-bordered bg-black/20 border-slate-800"
+        >
+          {HISTORY_RANGES.map(range => <option key={range.key} value={range.key}>Last {range.label}</option>)}
+          <option value="custom">Custom</option>
+        </select>
+        {rangeKey === 'custom' && (
+          <>
+            <input
+              type="datetime-local"
+              value={customFrom}
+              onChange={(e) => setCustomFrom(e.target.value)}
+              className="input input-xs input-bordered bg-black/20 border-slate-800 flex-1"
+            />
+            <input
+              type="datetime-local"
+              value={customTo}
+              onChange={(e) => setCustomTo(e.target.value)}
+              className="input input-xs input-bordered bg-black/20 border-slate-800 flex-1"
+            />
+          </>
+        )}
+        <button onClick={exportTimeline} disabled={isExporting} className="btn btn-xs btn-primary">
+          {isExporting ? 'EXPORTING...' : 'TELEMETRY + COMMANDS'}
+        </button>
+        <button onClick={exportLogs} disabled={logs.length === 0} className="btn btn-xs btn-outline border-slate-700 text-slate-400">
+          SCREEN LOGS
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ExportPanel;
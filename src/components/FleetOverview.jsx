@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import { Wifi, WifiOff, Lock, Unlock, Power } from 'lucide-react';
+import { fetchFleetStatus } from '../lib/devices';
+import { isBatteryLow } from '../lib/dashboard';
+
+// Same cadence as the single-unit connection check
+const REFRESH_MS = 5000;
+
+/**
+ * Grid of every gripper unit with link status, grip state and battery; click a card to control it
+ */
+function FleetOverview({ selectedId, onSelect, onError }) {
+  const [fleet, setFleet] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = async () => {
+      const { fleet: next, error } = await fetchFleetStatus();
+      if (cancelled) return;
+      if (error) onError?.(error);
+      else setFleet(next);
+    };
+
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [onError]);
+
+  return (
+    <div className="glass-card p-6">
+      <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest mb-4 text-[10px]">Fleet Overview</h2>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {fleet.map(unit => (
+          <button
+            key={unit.id}
+            onClick={() => onSelect(unit.id)}
+            className={`p-4 rounded-xl border text-left space-y-2 transition-all hover:scale-[1.02] ${unit.id === selectedId ? 'border-blue-500/60 bg-blue-500/10' : 'border-slate-800/50 bg-slate-900/50'}`}
+          >
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-bold uppercase tracking-wider truncate">{unit.name}</span>
+              {unit.isOnline ? <Wifi className="w-4 h-4 text-green-400" /> : <WifiOff className="w-4 h-4 text-red-400" />}
+            </div>
+            <div className="flex items-center gap-2 text-[10px] text-slate-400 font-bold uppercase">
+              {unit.isGripped ? <Lock className="w-3 h-3" /> : <Unlock className="w-3 h-3" />}
+              {unit.isGripped === null ? 'Unknown' : unit.isGripped ? 'Engaged' : 'Released'}
+            </div>
+            <div className="flex items-center gap-2 text-[10px] font-bold uppercase">
+              <Power className={`w-3 h-3 ${isBatteryLow(unit.battery) ? 'text-red-400' : 'text-green-400'}`} />
+              <span className="text-slate-400">{unit.battery === null ? '--' : `${unit.battery}%`}</span>
+            </div>
+          </button>
+        ))}
+        {fleet.length === 0 && <div className="text-xs text-slate-700 italic">No units registered yet...</div>}
+      </div>
+    </div>
+  );
+}
+
+export default FleetOverview;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Crosshair, Play, Square } from 'lucide-react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceArea,
+  ReferenceLine
+} from 'recharts';
+import { DEFAULT_FORCE_GRIP, createForceGripRun } from '../lib/forceGrip';
+import { serializeGripperParams } from '../lib/gripperParams';
+
+// Badge colour per run state
+const RUN_STYLES = {
+  running: 'badge-primary',
+  done: 'badge-success',
+  aborted: 'badge-ghost',
+  failed: 'badge-error'
+};
+
+const IDLE_RUN = { state: 'idle', steps: 0, fsr: null, message: null };
+
+/**
+ * "Grip to force": steps the jaw closed until the FSR settles at a target,
+ * supervised for over-current and timeout, with a live force vs. target plot.
+ * A running grip is aborted as soon as the controls are disabled (e-stop, stale link),
+ * and a step it left in flight is stopped through onStopMotion.
+ */
+function ForceGripPanel({ sendCommand, onStopMotion, gripperParams, commandBus, telemetryBus, disabled, onActiveChange, onLog }) {
+  const [settings, setSettings] = useState(DEFAULT_FORCE_GRIP);
+  const [run, setRun] = useState(IDLE_RUN);
+  const [samples, setSamples] = useState([]); // { t, fsr, current } since the run started
+  const runRef = useRef(null);
+
+  // The loop always sends through the latest sendCommand, stop handler and speed setting
+  const latestRef = useRef({ sendCommand, onStopMotion, gripperParams });
+  useEffect(() => {
+    latestRef.current = { sendCommand, onStopMotion, gripperParams };
+  }, [sendCommand, onStopMotion, gripperParams]);
+
+  useEffect(() => {
+    if (disabled) runRef.current?.abort();
+  }, [disabled]);
+
+  // Abort a running grip when the panel goes away
+  useEffect(() => () => runRef.current?.abort(), []);
+
+  const isRunning = run.state === 'running';
+
+  // A running grip holds the dashboard layout, so a rotation does not abort it
+  useEffect(() => {
+    if (!isRunning) return;
+    onActiveChange?.('force grip', true);
+    return () => onActiveChange?.('force grip', false);
+  }, [isRunning, onActiveChange]);
+
+  const updateSetting = (key, value) => setSettings(prev => ({ ...prev, [key]: Number(value) }));
+
+  const handleStart = () => {
+    const limits = settings;
+    const forceGripRun = createForceGripRun(limits, {
+      sendCommand: (type, torque) => {
+        const latest = latestRef.current;
+        return latest.sendCommand(type, serializeGripperParams({ ...latest.gripperParams, torque }));
+      },
+      stopMotion: () => latestRef.current.onStopMotion('Force grip ended with a step in flight'),
+      commandBus,
+      telemetryBus,
+      onSample: (sample) => setSamples(prev => [...prev, sample]),
+      onProgress: (progress) => {
+        setRun(prev => ({ ...prev, message: null, ...progress }));
+        if (progress.state === 'done') {
+          onLog(`Force grip settled at ${progress.fsr}% (target ${limits.targetFsr}±${limits.tolerance}%) after ${progress.steps} step(s).`);
+        }
+        if (progress.state === 'failed' || progress.state === 'aborted') {
+          onLog(`Error: Force grip ${progress.state}: ${progress.message}`);
+        }
+      }
+    });
+    runRef.current = forceGripRun;
+    setSamples([]);
+    setRun({ ...IDLE_RUN, state: 'running' });
+    onLog(`Gripping to ${limits.targetFsr}% force...`);
+    forceGripRun.start();
+  };
+
+  const inputClass = 'input input-xs input-bordered bg-black/20 border-slate-800 w-full';
+  const fields = [
+    { key: 'targetFsr', label: 'Target %', min: 1, max: 100, step: 1 },
+    { key: 'tolerance', label: '± %', min: 1, max: 20, step: 1 },
+    { key: 'maxCurrent', label: 'Max A', min: 0.1, max: 5, step: 0.1 }
+  ];
+
+  return (
+    <div className="glass-card p-6 space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px] flex items-center gap-2">
+          <Crosshair className="w-3 h-3" /> Grip to Force
+        </h2>
+        {run.state !== 'idle' && (
+          <span className={`badge badge-sm ${RUN_STYLES[run.state]}`}>
+            {run.state}{run.steps > 0 ? ` · ${run.steps} step(s)` : ''}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-4 gap-2">
+        {fields.map(({ key, label, min, max, step }) => (
+          <label key={key} className="text-[10px] font-bold uppercase text-slate-500 space-y-1">
+            <span>{label}</span>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              step={step}
+              value={settings[key]}
+              onChange={(e) => updateSetting(key, e.target.value)}
+              disabled={isRunning}
+              className={inputClass}
+            />
+          </label>
+        ))}
+        <label className="text-[10px] font-bold uppercase text-slate-500 space-y-1">
+          <span>Timeout s</span>
+          <input
+            type="number"
+            min="1"
+            max="120"
+            value={settings.timeoutMs / 1000}
+            onChange={(e) => updateSetting('timeoutMs', e.target.value * 1000)}
+            disabled={isRunning}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      {isRunning ? (
+        <button onClick={() => runRef.current?.abort()} className="btn btn-sm btn-error w-full">
+          <Square className="w-4 h-4 mr-2" /> ABORT
+        </button>
+      ) : (
+        <button onClick={handleStart} disabled={disabled} className="btn btn-sm btn-primary w-full">
+          <Play className="w-4 h-4 mr-2" /> GRIP TO {settings.targetFsr}%
+        </button>
+      )}
+      {run.message && <div className="text-[10px] font-bold uppercase text-red-400">{run.message}</div>}
+      <p className="text-[10px] text-slate-600">
+        Max A is checked against each step's peak current once the step has run, and the readings between steps.
+        The gripper does not cut a step short on current.
+      </p>
+
+      {/* 📈 Force vs. target since the run started */}
+      {samples.length > 0 && (
+        <div className="h-40">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={samples}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#2d3748" vertical={false} />
+              <XAxis dataKey="t" type="number" unit="s" stroke="#4a5568" fontSize={10} tickLine={false} axisLine={false} />
+              <YAxis domain={[0, 100]} stroke="#4a5568" fontSize={10} tickLine={false} axisLine={false} />
+              <Tooltip
+                labelFormatter={(t) => `${t.toFixed(1)}s`}
+                contentStyle={{ backgroundColor: '#1a1a2e', border: '1px solid #2d3748', borderRadius: '8px', fontSize: '12px' }}
+                itemStyle={{ color: '#e2e8f0' }}
+              />
+              <ReferenceArea
+                y1={settings.targetFsr - settings.tolerance}
+                y2={settings.targetFsr + settings.tolerance}
+                fill="#22c55e"
+                fillOpacity={0.1}
+              />
+              <ReferenceLine y={settings.targetFsr} stroke="#22c55e" strokeDasharray="4 4" />
+              <Line type="monotone" dataKey="fsr" name="Grip Force (%)" stroke="#3b82f6" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ForceGripPanel;
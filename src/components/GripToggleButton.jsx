@@ -0,0 +1,30 @@
+import React from 'react';
+import { HelpCircle, Loader2, Lock, Unlock } from 'lucide-react';
+import { JAW_STATES } from '../lib/jaw';
+
+/**
+ * Main Engage/Release toggle: driven by the reported jaw, never by what was last
+ * sent, and showing the grip command in flight until the jaw reports its result
+ */
+function GripToggleButton({ jawState, isGripped, pendingCommand, disabled, onToggle, className = '' }) {
+  return (
+    <button
+      onClick={onToggle}
+      disabled={disabled || jawState === JAW_STATES.UNKNOWN || pendingCommand !== null}
+      className={`btn gap-3 ${isGripped ? 'btn-error' : 'btn-primary'} transition-all hover:scale-[1.02] shadow-xl ${className}`}
+    >
+      {jawState === JAW_STATES.UNKNOWN ? (
+        <><HelpCircle className="w-6 h-6" /> JAW STATE UNKNOWN</>
+      ) : pendingCommand ? (
+        <><Loader2 className="w-6 h-6 animate-spin" /> {pendingCommand.type === 'GRIP' ? 'ENGAGING...' : 'RELEASING...'}</>
+      ) : (
+        <>
+          {isGripped ? <Unlock className="w-6 h-6" /> : <Lock className="w-6 h-6" />}
+          {isGripped ? 'FULL RELEASE' : 'FULL ENGAGE'}
+        </>
+      )}
+    </button>
+  );
+}
+
+export default GripToggleButton;
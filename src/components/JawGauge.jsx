@@ -0,0 +1,62 @@
+import React from 'react';
+import { JAW_STATES } from '../lib/jaw';
+
+// Label and colour per reported jaw state
+const STATE_STYLES = {
+  [JAW_STATES.OPEN]: { label: 'OPEN', className: 'text-slate-300' },
+  [JAW_STATES.PARTIAL]: { label: 'PARTLY CLOSED', className: 'text-blue-300' },
+  [JAW_STATES.GRIPPED]: { label: 'GRIPPING', className: 'text-green-400' },
+  [JAW_STATES.CLOSED]: { label: 'CLOSED · EMPTY', className: 'text-amber-400' },
+  [JAW_STATES.UNKNOWN]: { label: 'STATE UNKNOWN', className: 'text-slate-500' }
+};
+
+/**
+ * Animated two-finger gripper drawn from the reported jaw position,
+ * with the open/closed limit switches as LEDs
+ */
+function JawGauge({ position, limitOpen, limitClosed, jawState }) {
+  const isKnown = jawState !== JAW_STATES.UNKNOWN;
+  const closedPct = isKnown ? position : 50;
+  const gap = 36 - (closedPct / 100) * 30; // Half the finger gap in SVG units
+  const style = STATE_STYLES[jawState];
+  const fingerClass = `transition-transform duration-500 ${isKnown ? 'fill-blue-400/80' : 'fill-slate-600'}`;
+
+  return (
+    <div className="flex items-center gap-4 p-3 bg-slate-900/50 rounded-xl border border-slate-800/50">
+      <svg viewBox="0 0 100 70" className={`w-24 h-16 ${isKnown ? '' : 'opacity-50'}`}>
+        {/* Palm */}
+        <rect x="4" y="4" width="92" height="10" rx="3" className="fill-slate-500" />
+        {/* Fingers slide towards the centre as the jaw closes */}
+        <g className={fingerClass} style={{ transform: `translateX(${50 - gap - 6}px)` }}>
+          <rect x="0" y="14" width="6" height="44" rx="2" />
+          <rect x="0" y="52" width="10" height="6" rx="2" />
+        </g>
+        <g className={fingerClass} style={{ transform: `translateX(${50 + gap}px)` }}>
+          <rect x="0" y="14" width="6" height="44" rx="2" />
+          <rect x="-4" y="52" width="10" height="6" rx="2" />
+        </g>
+        {jawState === JAW_STATES.GRIPPED && (
+          <rect x={50 - gap} y="30" width={gap * 2} height="24" rx="3" className="fill-green-500/30" />
+        )}
+      </svg>
+
+      <div className="flex-1 space-y-2">
+        <div className="flex justify-between items-baseline">
+          <span className={`text-xs font-black tracking-widest ${style.className}`}>{style.label}</span>
+          <span className="text-lg font-black">{isKnown ? `${position}%` : '--'}</span>
+        </div>
+        <progress className="progress progress-info w-full" value={isKnown ? position : 0} max="100"></progress>
+        <div className="flex gap-4 text-[10px] font-bold uppercase text-slate-500">
+          <span className="flex items-center gap-1">
+            <span className={`w-2 h-2 rounded-full ${isKnown && limitOpen ? 'bg-green-400' : 'bg-slate-700'}`}></span> Open limit
+          </span>
+          <span className="flex items-center gap-1">
+            <span className={`w-2 h-2 rounded-full ${isKnown && limitClosed ? 'bg-amber-400' : 'bg-slate-700'}`}></span> Closed limit
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default JawGauge;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { CloudOff, RefreshCw, Send, Trash2 } from 'lucide-react';
+import { LINK_STATES } from '../lib/linkMonitor';
+
+/**
+ * Warns that the dashboard's own link (not the ESP32's) is degraded and lists
+ * the commands held back meanwhile, each waiting for a send-or-discard decision
+ */
+function LinkBanner({ link, queue, onApprove, onDiscard }) {
+  const [now, setNow] = useState(() => Date.now());
+  const isDegraded = link.state !== LINK_STATES.ONLINE;
+
+  // Tick the retry countdown while reconnecting
+  useEffect(() => {
+    if (link.state !== LINK_STATES.RECONNECTING) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [link.state]);
+
+  if (!isDegraded && queue.length === 0) return null;
+
+  const retryInSeconds = link.retryAt ? Math.max(0, Math.ceil((link.retryAt - now) / 1000)) : null;
+
+  return (
+    <div className="glass-card p-4 border-2 border-amber-500/70 bg-amber-500/10 space-y-3">
+      <div className="flex items-center gap-3">
+        {link.state === LINK_STATES.OFFLINE
+          ? <CloudOff className="w-6 h-6 text-amber-400" />
+          : <RefreshCw className={`w-6 h-6 text-amber-400 ${isDegraded ? 'animate-spin' : ''}`} />}
+        <div>
+          <div className="text-sm font-black text-amber-400 tracking-widest uppercase">
+            {link.state === LINK_STATES.OFFLINE && 'Dashboard Offline'}
+            {link.state === LINK_STATES.RECONNECTING && 'Degraded Link'}
+            {link.state === LINK_STATES.ONLINE && 'Link Restored'}
+          </div>
+          <div className="text-[10px] text-slate-400 font-bold uppercase">
+            {link.state === LINK_STATES.OFFLINE && 'This browser has no network; live data is paused'}
+            {link.state === LINK_STATES.RECONNECTING &&
+              `Realtime channel lost · attempt ${link.attempt}${retryInSeconds !== null ? ` · retrying in ${retryInSeconds}s` : ''}`}
+            {link.state === LINK_STATES.ONLINE && 'Decide what happens to the commands held while offline'}
+            {isDegraded && ' · stop commands are never queued, use the hardware stop if needed'}
+          </div>
+        </div>
+      </div>
+
+      {/* 📥 Commands issued while the link was down */}
+      {queue.length > 0 && (
+        <ul className="space-y-1">
+          {queue.map(command => (
+            <li key={command.id} className="flex items-center gap-3 px-3 py-2 rounded-lg border border-slate-800/50 bg-slate-900/50 text-xs">
+              <span className="font-bold text-slate-200">{command.type}</span>
+              <span className="font-mono text-slate-500">{new Date(command.queuedAt).toLocaleTimeString()}</span>
+              <div className="ml-auto flex gap-2">
+                {command.approved ? (
+                  <span className="badge badge-sm badge-info">{isDegraded ? 'SENDS ON RECONNECT' : 'SENDING'}</span>
+                ) : (
+                  <button onClick={() => onApprove(command.id)} className="btn btn-xs btn-outline btn-info">
+                    <Send className="w-3 h-3 mr-1" /> SEND WHEN RECONNECTED
+                  </button>
+                )}
+                <button onClick={() => onDiscard(command.id)} className="btn btn-xs btn-ghost text-slate-400">
+                  <Trash2 className="w-3 h-3 mr-1" /> DISCARD
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default LinkBanner;
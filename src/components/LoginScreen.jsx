@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { Cpu, LogIn, Mail } from 'lucide-react';
+import { signInWithPassword, sendMagicLink } from '../lib/auth';
+
+/**
+ * Sign-in gate shown until the operator has a Supabase Auth session
+ */
+function LoginScreen() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const error = await signInWithPassword(email, password);
+    setIsSubmitting(false);
+    if (error) setMessage({ isError: true, text: error.message });
+  };
+
+  const handleMagicLink = async () => {
+    if (!email) {
+      setMessage({ isError: true, text: 'Enter your email address first.' });
+      return;
+    }
+    setIsSubmitting(true);
+    const error = await sendMagicLink(email);
+    setIsSubmitting(false);
+    setMessage(error
+      ? { isError: true, text: error.message }
+      : { isError: false, text: `Login link sent to ${email}.` });
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <form onSubmit={handleSignIn} className="glass-card p-8 w-full max-w-sm space-y-4">
+        <div className="flex items-center gap-4 mb-2">
+          <div className="p-3 bg-blue-500/20 rounded-xl neon-border">
+            <Cpu className="w-8 h-8 text-blue-400" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold glow-text tracking-tight uppercase">Robotic Gripper</h1>
+            <p className="text-[10px] text-slate-400 font-bold uppercase tracking-widest">Operator Sign-in</p>
+          </div>
+        </div>
+
+        <input
+          type="email"
+          placeholder="Email"
+          autoComplete="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="input input-sm input-bordered w-full bg-black/20 border-slate-800"
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="input input-sm input-bordered w-full bg-black/20 border-slate-800"
+        />
+
+        <button type="submit" disabled={isSubmitting || !password} className="btn btn-sm btn-primary w-full">
+          <LogIn className="w-4 h-4 mr-2" /> SIGN IN
+        </button>
+        <button type="button" onClick={handleMagicLink} disabled={isSubmitting} className="btn btn-sm btn-ghost w-full text-slate-400">
+          <Mail className="w-4 h-4 mr-2" /> EMAIL ME A LOGIN LINK
+        </button>
+
+        {message && (
+          <p className={`text-xs ${message.isError ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,147 @@
+import React from 'react';
+import { Wifi, WifiOff, Settings, Monitor, Square, Power, Activity, Zap, Thermometer } from 'lucide-react';
+import CameraPanel from './CameraPanel';
+import JawGauge from './JawGauge';
+import GripToggleButton from './GripToggleButton';
+import { isBatteryLow } from '../lib/dashboard';
+
+/**
+ * Compact operator layout for phones: the camera on top, then the jaw and big
+ * touch targets for every motion command, stop and emergency stop, and the key
+ * readings. Banners, settings and the full dashboard stay one tap away.
+ */
+function MobileControlView({
+  device,
+  devices,
+  onSelectDevice,
+  isConnected,
+  stats,
+  jawState,
+  isGripped,
+  pendingGripCommand,
+  isLocked,
+  estopActive,
+  canControl,
+  commandBus,
+  storeSnapshots,
+  logs,
+  onCommand,
+  onStopMotion,
+  onEmergencyStop,
+  onOpenSettings,
+  onShowFullLayout,
+  onActiveChange,
+  onLog
+}) {
+  const iconClass = 'w-4 h-4 mx-auto mb-1';
+  const readings = [
+    { label: 'Grip', value: `${stats.fsrValue}%`, icon: <Activity className={`${iconClass} text-blue-400`} /> },
+    { label: 'Motor', value: `${stats.motorCurrent}A`, icon: <Zap className={`${iconClass} text-emerald-400`} /> },
+    { label: 'Battery', value: stats.battery === null ? '--' : `${stats.battery}%`, icon: <Power className={`${iconClass} ${isBatteryLow(stats.battery) ? 'text-red-400' : 'text-green-400'}`} /> },
+    { label: 'Temp', value: `${stats.temperature}°C`, icon: <Thermometer className={`${iconClass} text-orange-400`} /> }
+  ];
+
+  return (
+    <div className="space-y-4">
+      {/* Unit, link status and the way back to the full dashboard */}
+      <header className="glass-card p-3 flex items-center gap-2">
+        <select
+          value={device.id}
+          onChange={(e) => onSelectDevice(e.target.value)}
+          className="bg-transparent uppercase font-bold text-slate-300 text-sm flex-1 min-w-0 focus:outline-none"
+        >
+          {devices.map(d => <option key={d.id} value={d.id} className="bg-slate-900">{d.name}</option>)}
+        </select>
+        <span className={`flex items-center gap-1 px-2 py-1 rounded-full text-[10px] font-bold ${isConnected ? 'bg-green-500/10 text-green-400' : 'bg-red-500/10 text-red-400'}`}>
+          {isConnected ? <Wifi className="w-3 h-3" /> : <WifiOff className="w-3 h-3" />}
+          {isConnected ? 'STABLE' : 'OFFLINE'}
+        </span>
+        <button onClick={onOpenSettings} className="btn btn-circle btn-ghost btn-sm text-slate-400" title="Settings">
+          <Settings className="w-5 h-5" />
+        </button>
+        <button onClick={onShowFullLayout} className="btn btn-circle btn-ghost btn-sm text-slate-400" title="Full dashboard">
+          <Monitor className="w-5 h-5" />
+        </button>
+      </header>
+
+      {/* 📹 Camera first: the operator steers by what they see */}
+      <CameraPanel device={device} commandBus={commandBus} storeSnapshots={storeSnapshots} onActiveChange={onActiveChange} onLog={onLog} />
+
+      {/* 🎮 Controls sized for thumbs */}
+      <div className="glass-card p-4 space-y-3">
+        <JawGauge
+          position={stats.jawPosition}
+          limitOpen={stats.limitOpen}
+          limitClosed={stats.limitClosed}
+          jawState={jawState}
+        />
+        <GripToggleButton
+          jawState={jawState}
+          isGripped={isGripped}
+          pendingCommand={pendingGripCommand}
+          disabled={isLocked}
+          onToggle={() => onCommand(isGripped ? 'RELEASE' : 'GRIP')}
+          className="w-full h-28 text-xl"
+        />
+        <div className="grid grid-cols-2 gap-3">
+          <button
+            onClick={() => onCommand('STEP_RELEASE')}
+            disabled={isLocked}
+            className="btn h-20 btn-outline btn-info border-2 flex-col gap-0"
+          >
+            <span className="text-3xl font-bold leading-none">−</span>
+            <span className="text-[10px] font-bold">LOOSEN</span>
+          </button>
+          <button
+            onClick={() => onCommand('STEP_GRIP')}
+            disabled={isLocked}
+            className="btn h-20 btn-outline btn-primary border-2 flex-col gap-0"
+          >
+            <span className="text-3xl font-bold leading-none">+</span>
+            <span className="text-[10px] font-bold">TIGHTEN</span>
+          </button>
+          <button
+            onClick={() => onStopMotion('Stop pressed')}
+            disabled={!canControl}
+            className="btn h-20 btn-warning text-base"
+            title="Stop the motor without latching"
+          >
+            <Square className="w-5 h-5" /> STOP
+          </button>
+          <button
+            onClick={onEmergencyStop}
+            disabled={!canControl}
+            className={`btn h-20 btn-error text-base ${estopActive ? '' : 'btn-outline border-2'}`}
+            title="Stop the motor and lock all controls"
+          >
+            <Power className="w-5 h-5" /> {estopActive ? 'LATCHED' : 'EMERGENCY'}
+          </button>
+        </div>
+      </div>
+
+      {/* Key readings */}
+      <div className="grid grid-cols-4 gap-2">
+        {readings.map(({ label, value, icon }) => (
+          <div key={label} className="glass-card p-2 text-center">
+            {icon}
+            <div className="text-sm font-black">{value}</div>
+            <div className="text-[10px] text-slate-500 uppercase font-bold">{label}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Latest log lines, so rejected and failed commands are not missed */}
+      <div className="glass-card p-3 font-mono text-[10px] space-y-1">
+        {logs.slice(0, 3).map((log, i) => (
+          <div key={i} className="flex gap-2 truncate">
+            <span className="text-slate-600">[{log.time}]</span>
+            <span className={log.message.includes('Error') ? 'text-red-400' : 'text-blue-300'}>{log.message}</span>
+          </div>
+        ))}
+        {logs.length === 0 && <div className="text-slate-700 italic">No activity logged yet...</div>}
+      </div>
+    </div>
+  );
+}
+
+export default MobileControlView;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ListOrdered, Play, Pause, Square, Save, Trash2, ArrowUp, ArrowDown, X } from 'lucide-react';
+import {
+  SEQUENCE_COMMANDS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATOR_KEYS,
+  createStep,
+  describeStep,
+  fetchSequences,
+  saveSequence,
+  deleteSequence,
+  createSequenceRun
+} from '../lib/sequences';
+
+// Badge colour per run state
+const RUN_STYLES = {
+  scheduled: 'badge-info',
+  running: 'badge-primary',
+  paused: 'badge-warning',
+  done: 'badge-success',
+  aborted: 'badge-ghost',
+  failed: 'badge-error'
+};
+
+const IDLE_RUN = { state: 'idle', stepIndex: -1, iteration: 0, message: null };
+
+/**
+ * Editor for grip sequences (ordered commands, waits and telemetry conditions)
+ * with saving to Supabase and supervised playback
+ */
+function SequencePanel({ sendCommand, onStopMotion, commandBus, telemetryBus, canControl, onActiveChange, onLog }) {
+  const [sequences, setSequences] = useState([]);
+  const [draft, setDraft] = useState({ id: null, name: 'New sequence', steps: [] });
+  const [repeat, setRepeat] = useState(1);
+  const [startAt, setStartAt] = useState('');
+  const [run, setRun] = useState(IDLE_RUN);
+  const runRef = useRef(null);
+
+  // The runner always sends through the latest sendCommand and stop (e-stop and role checks included)
+  const latestRef = useRef({ sendCommand, onStopMotion });
+  useEffect(() => {
+    latestRef.current = { sendCommand, onStopMotion };
+  }, [sendCommand, onStopMotion]);
+
+  useEffect(() => {
+    fetchSequences().then(({ sequences: saved, error }) => {
+      if (error) onLog(`Error: Could not load sequences: ${error.message}`);
+      else setSequences(saved);
+    });
+  }, [onLog]);
+
+  // Abort a running sequence when the panel goes away
+  useEffect(() => () => runRef.current?.abort(), []);
+
+  const isActive = ['scheduled', 'running', 'paused'].includes(run.state);
+
+  // An active sequence holds the dashboard layout, so a rotation does not abort it
+  useEffect(() => {
+    if (!isActive) return;
+    onActiveChange?.('sequence', true);
+    return () => onActiveChange?.('sequence', false);
+  }, [isActive, onActiveChange]);
+
+  const updateSteps = (steps) => setDraft(prev => ({ ...prev, steps }));
+  const updateStep = (index, changes) => updateSteps(draft.steps.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+  const moveStep = (index, offset) => {
+    const steps = [...draft.steps];
+    const [step] = steps.splice(index, 1);
+    steps.splice(index + offset, 0, step);
+    updateSteps(steps);
+  };
+
+  const handleSave = async () => {
+    const { sequence, error } = await saveSequence(draft);
+    if (error) {
+      onLog(`Error: Could not save sequence: ${error.message}`);
+      return;
+    }
+    setDraft(sequence);
+    setSequences(prev => [sequence, ...prev.filter(s => s.id !== sequence.id)]);
+    onLog(`Sequence "${sequence.name}" saved.`);
+  };
+
+  const handleDelete = async () => {
+    const error = await deleteSequence(draft.id);
+    if (error) {
+      onLog(`Error: Could not delete sequence: ${error.message}`);
+      return;
+    }
+    setSequences(prev => prev.filter(s => s.id !== draft.id));
+    setDraft({ id: null, name: 'New sequence', steps: [] });
+  };
+
+  const handleRun = () => {
+    const sequenceRun = createSequenceRun(draft.steps, {
+      sendCommand: (type) => latestRef.current.sendCommand(type),
+      stopMotion: () => latestRef.current.onStopMotion('Sequence ended with a command in flight'),
+      commandBus,
+      telemetryBus,
+      onProgress: (progress) => {
+        setRun(prev => ({ ...prev, message: null, ...progress }));
+        if (progress.state === 'done') onLog(`Sequence "${draft.name}" completed.`);
+        if (progress.state === 'failed' || progress.state === 'aborted') {
+          onLog(`Error: Sequence "${draft.name}" ${progress.state}: ${progress.message}`);
+        }
+      }
+    });
+    runRef.current = sequenceRun;
+    setRun({ ...IDLE_RUN, state: 'running' });
+    onLog(`Running sequence "${draft.name}"...`);
+    sequenceRun.start({ repeat, startAt: startAt ? new Date(startAt) : null });
+  };
+
+  const selectClass = 'select select-xs select-bordered bg-black/20 border-slate-800';
+  const inputClass = 'input input-xs input-bordered bg-black/20 border-slate-800';
+
+  return (
+    <div className="glass-card p-6 space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px] flex items-center gap-2">
+          <ListOrdered className="w-3 h-3" /> Grip Sequences
+        </h2>
+        {run.state !== 'idle' && (
+          <span className={`badge badge-sm ${RUN_STYLES[run.state]}`}>
+            {run.state}{repeat > 1 && isActive ? ` · ${run.iteration + 1}/${repeat}` : ''}
+          </span>
+        )}
+      </div>
+
+      {/* Saved sequences and name */}
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={draft.id || ''}
+          disabled={isActive}
+          onChange={(e) => setDraft(sequences.find(s => String(s.id) === e.target.value) || { id: null, name: 'New sequence', steps: [] })}
+          className={selectClass}
+        >
+          <option value="">+ New sequence</option>
+          {sequences.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+        </select>
+        <input
+          value={draft.name}
+          disabled={isActive}
+          onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+          className={`${inputClass} flex-1 font-bold`}
+        />
+        <button onClick={handleSave} disabled={isActive || !canControl || !draft.name.trim()} className="btn btn-xs btn-outline border-slate-700 text-slate-400" title="Save">
+          <Save className="w-3 h-3" />
+        </button>
+        {draft.id && (
+          <button onClick={handleDelete} disabled={isActive || !canControl} className="btn btn-xs btn-ghost text-slate-500" title="Delete">
+            <Trash2 className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+
+      {/* Steps */}
+      <ol className="space-y-1">
+        {draft.steps.map((step, index) => (
+          <li
+            key={index}
+            className={`flex flex-wrap items-center gap-2 px-3 py-2 rounded-lg border text-xs ${isActive && run.stepIndex === index ? 'border-blue-500/60 bg-blue-500/10' : index < run.stepIndex ? 'border-slate-800/50 bg-slate-900/30 opacity-60' : 'border-slate-800/50 bg-slate-900/50'}`}
+          >
+            <span className="font-mono text-slate-500 w-5">{index + 1}.</span>
+            {step.kind === 'command' && (
+              <select value={step.type} disabled={isActive} onChange={(e) => updateStep(index, { type: e.target.value })} className={selectClass}>
+                {SEQUENCE_COMMANDS.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            )}
+            {step.kind === 'wait' && (
+              <>
+                <span className="font-bold text-slate-400">WAIT</span>
+                <input type="number" min="0" step="0.1" value={step.ms / 1000} disabled={isActive} onChange={(e) => updateStep(index, { ms: Math.max(0, Number(e.target.value)) * 1000 })} className={`${inputClass} w-16`} />
+                <span className="text-slate-500">s</span>
+              </>
+            )}
+            {step.kind === 'until' && (
+              <>
+                <span className="font-bold text-slate-400">UNTIL</span>
+                <select value={step.field} disabled={isActive} onChange={(e) => updateStep(index, { field: e.target.value })} className={selectClass}>
+                  {CONDITION_FIELDS.map(f => <option key={f} value={f}>{f}</option>)}
+                </select>
+                <select value={step.operator} disabled={isActive} onChange={(e) => updateStep(index, { operator: e.target.value })} className={selectClass}>
+                  {CONDITION_OPERATOR_KEYS.map(o => <option key={o} value={o}>{o}</option>)}
+                </select>
+                <input type="number" step="any" value={step.value} disabled={isActive} onChange={(e) => updateStep(index, { value: Number(e.target.value) })} className={`${inputClass} w-16`} />
+                <span className="text-slate-500">max</span>
+                <input type="number" min="1" value={step.timeoutMs / 1000} disabled={isActive} onChange={(e) => updateStep(index, { timeoutMs: Math.max(1, Number(e.target.value)) * 1000 })} className={`${inputClass} w-14`} />
+                <span className="text-slate-500">s</span>
+              </>
+            )}
+            {!isActive && (
+              <div className="ml-auto flex">
+                <button onClick={() => moveStep(index, -1)} disabled={index === 0} className="btn btn-ghost btn-xs"><ArrowUp className="w-3 h-3" /></button>
+                <button onClick={() => moveStep(index, 1)} disabled={index === draft.steps.length - 1} className="btn btn-ghost btn-xs"><ArrowDown className="w-3 h-3" /></button>
+                <button onClick={() => updateSteps(draft.steps.filter((_, i) => i !== index))} className="btn btn-ghost btn-xs"><X className="w-3 h-3" /></button>
+              </div>
+            )}
+          </li>
+        ))}
+        {draft.steps.length === 0 && <li className="text-xs text-slate-700 italic">No steps yet. Add commands and waits below...</li>}
+      </ol>
+
+      {/* Step palette */}
+      {!isActive && (
+        <div className="flex flex-wrap gap-1">
+          {SEQUENCE_COMMANDS.map(type => (
+            <button key={type} onClick={() => updateSteps([...draft.steps, createStep('command', type)])} className="btn btn-xs btn-outline border-slate-700 text-slate-400">
+              + {type}
+            </button>
+          ))}
+          <button onClick={() => updateSteps([...draft.steps, createStep('wait')])} className="btn btn-xs btn-outline btn-info">+ WAIT</button>
+          <button onClick={() => updateSteps([...draft.steps, createStep('until')])} className="btn btn-xs btn-outline btn-info">+ WAIT UNTIL</button>
+        </div>
+      )}
+
+      {/* Playback */}
+      <div className="flex flex-wrap items-center gap-2 text-[10px] text-slate-500 font-bold uppercase">
+        Repeat
+        <input type="number" min="1" max="100" value={repeat} disabled={isActive} onChange={(e) => setRepeat(Math.max(1, Number(e.target.value) || 1))} className={`${inputClass} w-14`} />
+        Start at
+        <input type="datetime-local" value={startAt} disabled={isActive} onChange={(e) => setStartAt(e.target.value)} className={inputClass} />
+        <div className="ml-auto flex gap-2">
+          {!isActive && (
+            <button onClick={handleRun} disabled={!canControl || draft.steps.length === 0} className="btn btn-xs btn-primary">
+              <Play className="w-3 h-3 mr-1" /> {startAt ? 'SCHEDULE' : 'RUN'}
+            </button>
+          )}
+          {run.state === 'running' && (
+            <button onClick={() => runRef.current.pause()} className="btn btn-xs btn-warning">
+              <Pause className="w-3 h-3 mr-1" /> PAUSE
+            </button>
+          )}
+          {run.state === 'paused' && (
+            <button onClick={() => runRef.current.resume()} className="btn btn-xs btn-primary">
+              <Play className="w-3 h-3 mr-1" /> RESUME
+            </button>
+          )}
+          {isActive && (
+            <button onClick={() => runRef.current.abort()} className="btn btn-xs btn-error">
+              <Square className="w-3 h-3 mr-1" /> ABORT
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isActive && run.stepIndex >= 0 && draft.steps[run.stepIndex] && (
+        <div className="text-xs font-mono text-blue-300">
+          Step {run.stepIndex + 1}/{draft.steps.length}: {describeStep(draft.steps[run.stepIndex])}
+        </div>
+      )}
+      {run.message && <div className="text-xs font-mono text-red-400">{run.message}</div>}
+    </div>
+  );
+}
+
+export default SequencePanel;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { Settings, BellRing, BellOff, Radio, Gamepad2, Smartphone } from 'lucide-react';
+import AlarmRulesEditor from './AlarmRulesEditor';
+import ControlBindingsEditor from './ControlBindingsEditor';
+import { TRANSPORT_KINDS, IS_SIMULATOR_FORCED } from '../lib/transports';
+import { isPushSupported, getPushSubscription, subscribeToPush, unsubscribeFromPush } from '../lib/pwa';
+
+/**
+ * Dashboard settings opened from the header gear button
+ */
+function SettingsModal({
+  isOpen,
+  onClose,
+  canEdit,
+  alarmRules,
+  onAlarmRulesChange,
+  transportConfig,
+  onTransportChange,
+  controlBindings,
+  onControlBindingsChange,
+  onLog
+}) {
+  const [notificationPermission, setNotificationPermission] = useState(() =>
+    typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+  );
+  const [transportDraft, setTransportDraft] = useState(transportConfig);
+  const isTransportChanged =
+    transportDraft.kind !== transportConfig.kind ||
+    (transportDraft.kind === 'local' && transportDraft.url !== transportConfig.url);
+  const isUrlValid = /^wss?:\/\/.+/.test(transportDraft.url);
+
+  const [isPushEnabled, setIsPushEnabled] = useState(null); // null until the subscription is read
+  const [isPushBusy, setIsPushBusy] = useState(false);
+
+  useEffect(() => {
+    if (!isPushSupported()) return;
+    getPushSubscription()
+      .then(subscription => setIsPushEnabled(subscription !== null))
+      .catch(() => setIsPushEnabled(false));
+  }, []);
+
+  const enableNotifications = async () => {
+    setNotificationPermission(await Notification.requestPermission());
+  };
+
+  const togglePush = async () => {
+    setIsPushBusy(true);
+    const { error } = isPushEnabled ? await unsubscribeFromPush() : await subscribeToPush();
+    setIsPushBusy(false);
+    if (typeof Notification !== 'undefined') setNotificationPermission(Notification.permission);
+    if (error) {
+      onLog(`Error: ${error.message}`);
+      return;
+    }
+    setIsPushEnabled(!isPushEnabled);
+    onLog(isPushEnabled ? 'Push alerts disabled on this device.' : 'Push alerts enabled on this device.');
+  };
+
+  return (
+    <dialog className={`modal ${isOpen ? 'modal-open' : ''}`}>
+      <div className="modal-box glass-card bg-slate-900/90 max-w-2xl">
+        <h3 className="font-bold text-lg uppercase tracking-wider flex items-center gap-2">
+          <Settings className="w-5 h-5 text-blue-400" /> Settings
+        </h3>
+
+        {/* 📡 Transport: how this browser reaches the gripper; a local choice, open to every role */}
+        <div className="mt-6">
+          <h4 className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mb-3 flex items-center gap-2">
+            <Radio className="w-3 h-3" /> Connection
+          </h4>
+          <div className="flex flex-col md:flex-row gap-2">
+            <select
+              value={transportDraft.kind}
+              disabled={IS_SIMULATOR_FORCED}
+              onChange={(e) => setTransportDraft(prev => ({ ...prev, kind: e.target.value }))}
+              className="select select-xs select-bordered bg-black/20 border-slate-800"
+            >
+              {TRANSPORT_KINDS.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+            </select>
+            {transportDraft.kind === 'local' && (
+              <input
+                type="text"
+                placeholder="ws://192.168.4.1:8080"
+                value={transportDraft.url}
+                onChange={(e) => setTransportDraft(prev => ({ ...prev, url: e.target.value.trim() }))}
+                className={`input input-xs input-bordered bg-black/20 border-slate-800 flex-1 font-mono ${isUrlValid ? '' : 'input-error'}`}
+              />
+            )}
+            <button
+              onClick={() => onTransportChange(transportDraft)}
+              disabled={!isTransportChanged || (transportDraft.kind === 'local' && !isUrlValid)}
+              className="btn btn-xs btn-primary"
+            >
+              APPLY
+            </button>
+          </div>
+          {transportDraft.kind !== 'supabase' && (
+            <p className="mt-2 text-[10px] text-slate-600 font-bold uppercase">
+              History, export, fleet and audit views need Supabase and are hidden in this mode
+            </p>
+          )}
+          {IS_SIMULATOR_FORCED && (
+            <p className="mt-2 text-[10px] text-slate-600 font-bold uppercase">Simulator forced by VITE_SIMULATOR</p>
+          )}
+        </div>
+
+        {/* 🎮 Keyboard and gamepad: bound to this browser's hardware, open to every role */}
+        <div className="mt-6">
+          <h4 className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mb-3 flex items-center gap-2">
+            <Gamepad2 className="w-3 h-3" /> Controls
+          </h4>
+          <ControlBindingsEditor bindings={controlBindings} onChange={onControlBindingsChange} />
+        </div>
+
+        {/* 📲 Push alerts: sent by Supabase from stored telemetry, also while no dashboard is open */}
+        {isPushSupported() && (
+          <div className="mt-6">
+            <h4 className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mb-3 flex items-center gap-2">
+              <Smartphone className="w-3 h-3" /> Push Alerts
+            </h4>
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                onClick={togglePush}
+                disabled={isPushEnabled === null || isPushBusy || notificationPermission === 'denied'}
+                className={`btn btn-xs ${isPushEnabled ? 'btn-ghost text-slate-400' : 'btn-primary'}`}
+              >
+                {isPushEnabled ? <BellOff className="w-3 h-3 mr-1" /> : <BellRing className="w-3 h-3 mr-1" />}
+                {isPushEnabled ? 'DISABLE ON THIS DEVICE' : 'ENABLE ON THIS DEVICE'}
+              </button>
+              <span className="text-[10px] text-slate-600 font-bold uppercase">
+                Low battery, unit offline and failed commands of every unit
+              </span>
+            </div>
+          </div>
+        )}
+
+        {/* 🚨 Alarm rules */}
+        <div className="mt-6">
+          <div className="flex justify-between items-center mb-3">
+            <h4 className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">Alarm Rules</h4>
+            {notificationPermission === 'default' && (
+              <button onClick={enableNotifications} className="btn btn-xs btn-ghost text-slate-400">
+                <BellRing className="w-3 h-3 mr-1" /> ENABLE BROWSER NOTIFICATIONS
+              </button>
+            )}
+            {notificationPermission === 'denied' && (
+              <span className="text-[10px] text-slate-600 font-bold uppercase">Notifications blocked by browser</span>
+            )}
+          </div>
+          {/* Only admins may change settings; everyone else sees them read-only */}
+          <fieldset disabled={!canEdit}>
+            <AlarmRulesEditor rules={alarmRules} onChange={onAlarmRulesChange} />
+          </fieldset>
+          {!canEdit && <p className="mt-2 text-[10px] text-slate-600 font-bold uppercase">Read-only: admin role required</p>}
+        </div>
+
+        <div className="modal-action">
+          <button onClick={onClose} className="btn btn-sm">Close</button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </dialog>
+  );
+}
+
+export default SettingsModal;
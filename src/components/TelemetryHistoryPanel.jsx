@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { History } from 'lucide-react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Brush
+} from 'recharts';
+import {
+  TELEMETRY_FIELDS,
+  HISTORY_RANGES,
+  fetchTelemetryRange,
+  downsampleTelemetry,
+  summarizeField
+} from '../lib/telemetryHistory';
+import { MAX_RANGE_ROWS } from '../lib/rangeQuery';
+
+// Upper bound of points drawn per chart, whatever the range
+const MAX_CHART_POINTS = 300;
+
+/**
+ * Builds a query for one of the preset ranges, ending now
+ */
+const presetQuery = (range) => {
+  const to = new Date();
+  return { key: `${range.key}-${to.getTime()}`, rangeKey: range.key, from: new Date(to.getTime() - range.ms), to };
+};
+
+/**
+ * Formats a Date for a datetime-local input
+ */
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+/**
+ * Explorer for stored telemetry: range presets, a custom range, and
+ * downsampled min/max/avg charts for every sensor field with a zoom brush
+ */
+function TelemetryHistoryPanel({ deviceId, onError }) {
+  const [query, setQuery] = useState(() => presetQuery(HISTORY_RANGES[0]));
+  const [result, setResult] = useState({ key: null, rows: [], truncated: false });
+  const [fieldKey, setFieldKey] = useState(TELEMETRY_FIELDS[0].key);
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+
+  const isLoading = result.key !== query.key;
+
+  // Fetch the rows of the current query; stale responses are ignored
+  useEffect(() => {
+    let cancelled = false;
+    fetchTelemetryRange(deviceId, query.from, query.to).then(({ rows, truncated, error }) => {
+      if (cancelled) return;
+      if (error) onError?.(error);
+      setResult({ key: query.key, rows, truncated });
+    });
+    return () => { cancelled = true; };
+  }, [deviceId, query, onError]);
+
+  const points = useMemo(() => downsampleTelemetry(result.rows, MAX_CHART_POINTS), [result.rows]);
+  const field = TELEMETRY_FIELDS.find(f => f.key === fieldKey);
+  const spansDays = query.to - query.from > 24 * 60 * 60 * 1000;
+
+  const formatTick = (time) => {
+    const date = new Date(time);
+    return spansDays ? date.toLocaleDateString() : date.toLocaleTimeString();
+  };
+
+  const loadCustomRange = () => {
+    const from = new Date(customFrom);
+    const to = customTo ? new Date(customTo) : new Date();
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      onError?.(new Error('Custom range needs a start before its end'));
+      return;
+    }
+    setQuery({ key: `custom-${from.getTime()}-${to.getTime()}`, rangeKey: 'custom', from, to });
+  };
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4 gap-4">
+        <h2 className="text-sm font-bold text-slate-400 uppercase tracking-widest text-[10px] flex items-center gap-2">
+          <History className="w-3 h-3" /> Telemetry History
+        </h2>
+        <div className="join">
+          {HISTORY_RANGES.map(range => (
+            <button
+              key={range.key}
+              onClick={() => setQuery(presetQuery(range))}
+              className={`btn btn-xs join-item ${query.rangeKey === range.key ? 'btn-primary' : 'btn-ghost'}`}
+            >
+              {range.label}
+            </button>
+          ))}
+          <button
+            onClick={() => {
+              setCustomFrom(toInputValue(query.from));
+              setCustomTo(toInputValue(query.to));
+              setQuery(prev => ({ ...prev, rangeKey: 'custom' }));
+            }}
+            className={`btn btn-xs join-item ${query.rangeKey === 'custom' ? 'btn-primary' : 'btn-ghost'}`}
+          >
+            CUSTOM
+          </button>
+        </div>
+      </div>
+
+      {/* Custom range inputs */}
+      {query.rangeKey === 'custom' && (
+        <div className="flex flex-col md:flex-row gap-2 mb-4">
+          <input
+            type="datetime-local"
+            value={customFrom}
+            onChange={(e) => setCustomFrom(e.target.value)}
+            className="input input-xs input-bordered bg-black/20 border-slate-800 flex-1"
+          />
+          <input
+            type="datetime-local"
+            value={customTo}
+            onChange={(e) => setCustomTo(e.target.value)}
+            className="input input-xs input-bordered bg-black/20 border-slate-800 flex-1"
+          />
+          <button onClick={loadCustomRange} className="btn btn-xs btn-primary">LOAD</button>
+        </div>
+      )}
+
+      {/* Per-field summary; click a card to chart that field */}
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-2 mb-4">
+        {TELEMETRY_FIELDS.map(f => {
+          const summary = summarizeField(result.rows, f.key);
+          return (
+            <button
+              key={f.key}
+              onClick={() => setFieldKey(f.key)}
+              className={`p-2 rounded-lg border text-left ${fieldKey === f.key ? 'border-blue-500/60 bg-blue-500/10' : 'border-slate-800/50 bg-slate-900/50'}`}
+            >
+              <div className="text-[10px] text-slate-500 uppercase font-bold">{f.label}</div>
+              <div className="text-sm font-bold" style={{ color: f.color }}>
+                {summary ? `${summary.avg.toFixed(1)}${f.unit}` : '--'}
+              </div>
+              <div className="text-[10px] text-slate-500 font-mono">
+                {summary ? `${summary.min}–${summary.max}` : 'no data'}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="h-64 w-full -ml-4">
+        {isLoading ? (
+          <div className="h-full flex items-center justify-center text-xs text-slate-600 font-bold tracking-widest">LOADING...</div>
+        ) : points.length === 0 ? (
+          <div className="h-full flex items-center justify-center text-xs text-slate-600 font-bold tracking-widest">NO DATA IN RANGE</div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={points}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#2d3748" vertical={false} />
+              <XAxis dataKey="time" tickFormatter={formatTick} stroke="#4a5568" fontSize={10} tickLine={false} axisLine={false} />
+              <YAxis stroke="#4a5568" fontSize={10} tickLine={false} axisLine={false} />
+              <Tooltip
+                labelFormatter={(time) => new Date(time).toLocaleString()}
+                contentStyle={{ backgroundColor: '#1a1a2e', border: '1px solid #2d3748', borderRadius: '8px', fontSize: '12px' }}
+                itemStyle={{ color: '#e2e8f0' }}
+              />
+              <Area
+                type="monotone"
+                dataKey={`${field.key}_range`}
+                name="Min–Max"
+                stroke="none"
+                fill={field.color}
+                fillOpacity={0.15}
+                isAnimationActive={false}
+              />
+              <Line
+                type="monotone"
+                dataKey={field.key}
+                name={`Avg ${field.label} (${field.unit})`}
+                stroke={field.color}
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+              />
+              <Brush dataKey="time" height={20} stroke="#3b82f6" fill="#1a1a2e" tickFormatter={formatTick} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+      <div className="text-[10px] text-slate-600 font-mono mt-2">
+        {result.rows.length} rows{result.rows.length > MAX_CHART_POINTS && ` · downsampled to ${points.length} buckets`}
+        {result.truncated && (
+          <span className="text-orange-400"> · stopped at the {MAX_RANGE_ROWS}-row limit, pick a shorter range to see its end</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TelemetryHistoryPanel;
@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  loadAlarmRules,
+  saveAlarmRules,
+  evaluateAlarmRules,
+  applyAlarmEvents,
+  acknowledgeAlarm
+} from '../lib/alarms';
+import { showSystemNotification } from '../lib/pwa';
+
+// How often rules are re-checked between telemetry rows (stale link, durations)
+const TICK_MS = 1000;
+
+/**
+ * Plays a short alert tone; critical alarms beep higher and longer
+ */
+const playAlarmTone = (severity) => {
+  try {
+    const context = new AudioContext();
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = severity === 'critical' ? 1200 : 800;
+    oscillator.connect(context.destination);
+    oscillator.start();
+    oscillator.stop(context.currentTime + (severity === 'critical' ? 0.6 : 0.25));
+    oscillator.onended = () => context.close();
+  } catch {
+    // Audio is best effort; the banner is the primary signal
+  }
+};
+
+/**
+ * Shows a system notification if the operator has allowed them
+ */
+const notify = (alarm) => {
+  showSystemNotification(`Gripper ${alarm.severity.toUpperCase()} alarm`, { body: alarm.message, tag: alarm.ruleId })
+    .catch(() => {}); // Best effort, like the tone
+};
+
+/**
+ * Alarm rules engine. Call evaluateTelemetry() for every telemetry row; rules are
+ * also re-checked on a timer so the stale-link rule fires when no rows arrive.
+ * onTrigger(rule) is called whenever a rule triggers, e.g. to run its auto action.
+ */
+export function useAlarms(deviceId, { onTrigger }) {
+  const [rules, setRules] = useState(() => loadAlarmRules(deviceId));
+  const [alarms, setAlarms] = useState([]);
+
+  const rulesRef = useRef(rules);
+  const statesRef = useRef({});
+  const lastSeenRef = useRef(null);
+  const onTriggerRef = useRef(onTrigger);
+
+  useEffect(() => {
+    rulesRef.current = rules;
+  }, [rules]);
+
+  useEffect(() => {
+    onTriggerRef.current = onTrigger;
+  }, [onTrigger]);
+
+  const evaluate = useCallback((reading) => {
+    const now = Date.now();
+    if (reading) lastSeenRef.current = now;
+
+    const { states, events } = evaluateAlarmRules(rulesRef.current, statesRef.current, {
+      reading,
+      lastSeenAt: lastSeenRef.current,
+      now
+    });
+    statesRef.current = states;
+    if (events.length === 0) return;
+
+    setAlarms(prev => applyAlarmEvents(prev, events, now));
+    events
+      .filter(event => event.type === 'triggered')
+      .forEach(event => {
+        const [alarm] = applyAlarmEvents([], [event], now);
+        playAlarmTone(alarm.severity);
+        notify(alarm);
+        onTriggerRef.current?.(event.rule, alarm);
+      });
+  }, []);
+
+  // Re-check on a timer; the link counts as fresh when the dashboard opens
+  useEffect(() => {
+    lastSeenRef.current = Date.now();
+    const timer = setInterval(() => evaluate(null), TICK_MS);
+    return () => clearInterval(timer);
+  }, [evaluate]);
+
+  const updateRules = useCallback((next) => {
+    setRules(next);
+    saveAlarmRules(deviceId, next);
+  }, [deviceId]);
+
+  const acknowledge = useCallback((id) => setAlarms(prev => acknowledgeAlarm(prev, id)), []);
+
+  const acknowledgeAll = useCallback(() => {
+    setAlarms(prev => prev.reduce((list, alarm) => acknowledgeAlarm(list, alarm.id), prev));
+  }, []);
+
+  return { rules, updateRules, alarms, evaluateTelemetry: evaluate, acknowledge, acknowledgeAll };
+}
@@ -0,0 +1,179 @@
+import { useState, useEffect, useRef } from 'react';
+import { MIN_REPEAT_MS, controlAction } from '../lib/controls';
+
+// How often a connected gamepad is read; the Gamepad API has no button events
+const GAMEPAD_POLL_MS = 50;
+// Analog triggers count as pressed past half travel
+const PRESS_THRESHOLD = 0.5;
+
+// Connected controllers; the list has empty slots and is missing in some browsers
+const listGamepads = () => (navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : []);
+
+/**
+ * True while the operator types into a form field, where keys must not drive the gripper
+ */
+const isTyping = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/**
+ * Keyboard and gamepad control. onAction(actionKey, isRepeat) fires when a bound
+ * input is pressed, and again every bindings.repeatMs while a repeating action is
+ * held. In dead-man mode motion actions only fire while the dead-man input is held;
+ * releasing it, or the tab losing focus meanwhile, stops the repeats and calls
+ * onDeadmanRelease(reason) so the caller can send a stop. onRepeatEnd(actionKey)
+ * fires when a repeating action that did repeat is let go, so the caller can
+ * cancel steps still queued.
+ */
+export function useControlInput(bindings, { enabled, onAction, onDeadmanRelease, onRepeatEnd }) {
+  const [gamepadName, setGamepadName] = useState(null);
+  const [isDeadmanHeld, setIsDeadmanHeld] = useState(false);
+
+  const handlersRef = useRef({ onAction, onDeadmanRelease, onRepeatEnd });
+  useEffect(() => {
+    handlersRef.current = { onAction, onDeadmanRelease, onRepeatEnd };
+  }, [onAction, onDeadmanRelease, onRepeatEnd]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const held = new Map();         // actionKey -> sources ('keyboard', 'gamepad') holding it
+    const repeats = new Map();      // actionKey -> { timer, hasRepeated } of a held repeating action
+    const padHeld = new Set();      // actionKeys held on the gamepad at the last poll
+    const keyActions = Object.fromEntries(Object.entries(bindings.keyboard).map(([key, code]) => [code, key]));
+    let pollTimer = null;
+
+    const isHeld = (key) => held.get(key)?.size > 0;
+    const isMotionAllowed = () => !bindings.deadman || isHeld('deadman');
+
+    const endRepeat = (key) => {
+      const repeat = repeats.get(key);
+      if (!repeat) return;
+      clearInterval(repeat.timer);
+      repeats.delete(key);
+      if (repeat.hasRepeated) handlersRef.current.onRepeatEnd?.(key);
+    };
+
+    const stopRepeats = () => [...repeats.keys()].forEach(endRepeat);
+
+    const press = (key, source) => {
+      const wasHeld = isHeld(key);
+      if (!held.has(key)) held.set(key, new Set());
+      held.get(key).add(source);
+      if (wasHeld) return;
+
+      if (key === 'deadman') {
+        setIsDeadmanHeld(true);
+        return;
+      }
+      const action = controlAction(key);
+      if (action.isMotion && !isMotionAllowed()) return;
+
+      handlersRef.current.onAction(key, false);
+      if (action.repeats) {
+        const repeat = { hasRepeated: false };
+        repeat.timer = setInterval(() => {
+          if (!isMotionAllowed()) return;
+          repeat.hasRepeated = true;
+          handlersRef.current.onAction(key, true);
+        }, Math.max(MIN_REPEAT_MS, bindings.repeatMs));
+        repeats.set(key, repeat);
+      }
+    };
+
+    const release = (key, source) => {
+      if (!isHeld(key)) return;
+      held.get(key).delete(source);
+      if (isHeld(key)) return;
+
+      endRepeat(key);
+      if (key === 'deadman') {
+        setIsDeadmanHeld(false);
+        if (bindings.deadman) {
+          stopRepeats();
+          handlersRef.current.onDeadmanRelease('Dead-man released');
+        }
+      }
+    };
+
+    // Key-up and button events are never seen once the tab is in the background, so let go of everything
+    const releaseAll = (reason) => {
+      const wasDeadmanHeld = isHeld('deadman');
+      held.clear();
+      padHeld.clear();
+      stopRepeats();
+      setIsDeadmanHeld(false);
+      if (bindings.deadman && wasDeadmanHeld) handlersRef.current.onDeadmanRelease(reason);
+    };
+
+    const handleKeyDown = (e) => {
+      const key = keyActions[e.code];
+      if (!key || isTyping(e.target)) return;
+      e.preventDefault();
+      if (!e.repeat) press(key, 'keyboard');
+    };
+
+    const handleKeyUp = (e) => {
+      const key = keyActions[e.code];
+      if (key) release(key, 'keyboard');
+    };
+
+    const pollGamepad = () => {
+      const [pad] = listGamepads();
+      if (!pad) return;
+      setGamepadName(pad.id);
+      if (!document.hasFocus()) return;
+
+      Object.entries(bindings.gamepad).forEach(([key, index]) => {
+        const isPressed = (pad.buttons[index]?.value ?? 0) > PRESS_THRESHOLD;
+        if (isPressed && !padHeld.has(key)) {
+          padHeld.add(key);
+          press(key, 'gamepad');
+        } else if (!isPressed && padHeld.has(key)) {
+          padHeld.delete(key);
+          release(key, 'gamepad');
+        }
+      });
+    };
+
+    const startPolling = () => {
+      if (!pollTimer) pollTimer = setInterval(pollGamepad, GAMEPAD_POLL_MS);
+    };
+
+    const handleGamepadDisconnected = () => {
+      [...padHeld].forEach(key => release(key, 'gamepad'));
+      padHeld.clear();
+      if (listGamepads().length > 0) return;
+      setGamepadName(null);
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    const handleBlur = () => releaseAll('Tab lost focus');
+    const handleVisibilityChange = () => {
+      if (document.hidden) releaseAll('Tab hidden');
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('gamepadconnected', startPolling);
+    window.addEventListener('gamepaddisconnected', handleGamepadDisconnected);
+
+    // A controller connected before this effect ran is only listed, not announced
+    if (listGamepads().length > 0) startPolling();
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('gamepadconnected', startPolling);
+      window.removeEventListener('gamepaddisconnected', handleGamepadDisconnected);
+      clearInterval(pollTimer);
+      releaseAll('Controls disabled');
+    };
+  }, [enabled, bindings]);
+
+  return { gamepadName, isDeadmanHeld };
+}
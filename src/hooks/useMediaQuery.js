@@ -0,0 +1,19 @@
+import { useSyncExternalStore, useCallback } from 'react';
+
+/**
+ * Whether a CSS media query matches, e.g. useMediaQuery('(max-width: 767px)').
+ * False where matchMedia is missing.
+ */
+export function useMediaQuery(query) {
+  const subscribe = useCallback((onChange) => {
+    if (typeof window.matchMedia !== 'function') return () => {};
+    const list = window.matchMedia(query);
+    list.addEventListener('change', onChange);
+    return () => list.removeEventListener('change', onChange);
+  }, [query]);
+
+  return useSyncExternalStore(
+    subscribe,
+    () => (typeof window.matchMedia === 'function' ? window.matchMedia(query).matches : false)
+  );
+}
@@ -0,0 +1,146 @@
+// Pseudo-field for the stale-link rule: seconds since the last telemetry row
+export const STALE_FIELD = 'seconds_since_data';
+
+// Fields a rule can watch, with the unit shown in the editor and alarm messages
+export const ALARM_FIELDS = [
+  { key: 'motor_current', label: 'Motor Current', unit: 'A' },
+  { key: 'fsr_value', label: 'Grip Force', unit: '%' },
+  { key: 'battery_pct', label: 'Battery', unit: '%' },
+  { key: 'temperature', label: 'Temperature', unit: '°C' },
+  { key: 'humidity', label: 'Humidity', unit: '%' },
+  { key: STALE_FIELD, label: 'No Data For', unit: 's' }
+];
+
+export const ALARM_SEVERITIES = ['info', 'warning', 'critical'];
+
+// Commands a critical rule may send automatically when it triggers
+export const ALARM_ACTIONS = ['RELEASE', 'ESTOP'];
+
+export const DEFAULT_ALARM_RULES = [
+  { id: 'over-current', name: 'Over-current', field: 'motor_current', operator: '>', threshold: 1.5, hysteresis: 0.2, durationMs: 3000, severity: 'critical', action: null, enabled: true },
+  { id: 'over-grip', name: 'Over-grip', field: 'fsr_value', operator: '>', threshold: 90, hysteresis: 5, durationMs: 0, severity: 'warning', action: null, enabled: true },
+  { id: 'low-battery', name: 'Low battery', field: 'battery_pct', operator: '<', threshold: 15, hysteresis: 2, durationMs: 0, severity: 'warning', action: null, enabled: true },
+  { id: 'stale-link', name: 'Stale link', field: STALE_FIELD, operator: '>', threshold: 30, hysteresis: 0, durationMs: 0, severity: 'critical', action: null, enabled: true }
+];
+
+const storageKey = (deviceId) => `alarmRules:${deviceId}`;
+
+/**
+ * Loads the user-defined rules for a device, falling back to the defaults
+ */
+export const loadAlarmRules = (deviceId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(deviceId)));
+    return Array.isArray(saved) ? saved : DEFAULT_ALARM_RULES;
+  } catch {
+    return DEFAULT_ALARM_RULES;
+  }
+};
+
+/**
+ * Persists the rules for a device so they survive a reload
+ */
+export const saveAlarmRules = (deviceId, rules) => {
+  localStorage.setItem(storageKey(deviceId), JSON.stringify(rules));
+};
+
+export const fieldInfo = (key) => ALARM_FIELDS.find(f => f.key === key) || { key, label: key, unit: '' };
+
+/**
+ * Describes a rule in one line, e.g. "Motor Current > 1.5A for 3s"
+ */
+export const describeRule = (rule) => {
+  const { label, unit } = fieldInfo(rule.field);
+  const duration = rule.durationMs > 0 ? ` for ${rule.durationMs / 1000}s` : '';
+  return `${label} ${rule.operator} ${rule.threshold}${unit}${duration}`;
+};
+
+const isBreached = (rule, value) => (rule.operator === '<' ? value < rule.threshold : value > rule.threshold);
+
+// With hysteresis the value has to move back past the threshold by a margin before the alarm clears
+const isRecovered = (rule, value) => (rule.operator === '<'
+  ? value > rule.threshold + rule.hysteresis
+  : value < rule.threshold - rule.hysteresis);
+
+/**
+ * Runs every rule against the latest reading and returns the new per-rule state
+ * plus 'triggered' / 'cleared' events. Without a reading (timer tick) only the
+ * stale-link rule can progress: a duration completes on a fresh reading that is
+ * still in breach, so a pause in telemetry (the firmware posts none while the
+ * motor runs) cannot stretch one high reading into a sustained one.
+ */
+export const evaluateAlarmRules = (rules, states, { reading, lastSeenAt, now }) => {
+  const nextStates = {};
+  const events = [];
+
+  rules.forEach(rule => {
+    const prev = states[rule.id] || { breachedSince: null, active: false, value: null };
+
+    if (!rule.enabled) {
+      nextStates[rule.id] = { breachedSince: null, active: false, value: null };
+      if (prev.active) events.push({ type: 'cleared', rule, value: prev.value });
+      return;
+    }
+
+    const value = rule.field === STALE_FIELD
+      ? (now - lastSeenAt) / 1000
+      : reading?.[rule.field];
+
+    if (value === null || value === undefined) {
+      nextStates[rule.id] = prev;
+      return;
+    }
+
+    if (prev.active) {
+      const recovered = isRecovered(rule, value);
+      nextStates[rule.id] = { breachedSince: recovered ? null : prev.breachedSince, active: !recovered, value };
+      if (recovered) events.push({ type: 'cleared', rule, value });
+      return;
+    }
+
+    if (!isBreached(rule, value)) {
+      nextStates[rule.id] = { breachedSince: null, active: false, value };
+      return;
+    }
+
+    const breachedSince = prev.breachedSince ?? now;
+    const active = now - breachedSince >= rule.durationMs;
+    nextStates[rule.id] = { breachedSince, active, value };
+    if (active) events.push({ type: 'triggered', rule, value });
+  });
+
+  return { states: nextStates, events };
+};
+
+/**
+ * Applies engine events to the list of alarms shown to the operator.
+ * An alarm stays listed until it is both cleared and acknowledged.
+ */
+export const applyAlarmEvents = (alarms, events, now) => {
+  let next = alarms;
+
+  events.forEach(({ type, rule, value }) => {
+    const existing = next.find(a => a.ruleId === rule.id);
+    const { unit } = fieldInfo(rule.field);
+    const message = `${rule.name}: ${describeRule(rule)} (now ${Number(value.toFixed(2))}${unit})`;
+
+    if (type === 'triggered') {
+      const alarm = { id: `${rule.id}-${now}`, ruleId: rule.id, severity: rule.severity, message, triggeredAt: now, acknowledged: false, clearedAt: null };
+      next = existing ? next.map(a => (a === existing ? alarm : a)) : [alarm, ...next];
+    } else if (existing) {
+      next = existing.acknowledged
+        ? next.filter(a => a !== existing)
+        : next.map(a => (a === existing ? { ...a, clearedAt: now } : a));
+    }
+  });
+
+  return next;
+};
+
+/**
+ * Acknowledges an alarm, dropping it straight away if its condition has already cleared
+ */
+export const acknowledgeAlarm = (alarms, id) =>
+  alarms
+    .filter(a => !(a.id === id && a.clearedAt))
+    .map(a => (a.id === id ? { ...a, acknowledged: true } : a));
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_ALARM_RULES, evaluateAlarmRules } from './alarms';
+
+const overCurrent = DEFAULT_ALARM_RULES.find(rule => rule.id === 'over-current'); // > 1.5 A for 3 s
+
+/**
+ * Feeds a series of { at, reading } steps (reading null for a timer tick) through the engine
+ */
+const run = (rules, steps) => {
+  let states = {};
+  const events = [];
+  steps.forEach(({ at, reading = null }) => {
+    const result = evaluateAlarmRules(rules, states, { reading, lastSeenAt: at, now: at });
+    states = result.states;
+    events.push(...result.events.map(event => ({ ...event, at })));
+  });
+  return { states, events };
+};
+
+describe('evaluateAlarmRules', () => {
+  it('triggers a duration rule once fresh readings stay in breach for the duration', () => {
+    const { events } = run([overCurrent], [0, 1000, 2000, 3000].map(at => ({ at, reading: { motor_current: 1.8 } })));
+
+    expect(events).toEqual([expect.objectContaining({ type: 'triggered', at: 3000 })]);
+  });
+
+  it('does not stretch one high reading over a pause in telemetry', () => {
+    const { states, events } = run([overCurrent], [
+      { at: 0, reading: { motor_current: 1.8 } },
+      { at: 1000 },
+      { at: 2000 },
+      { at: 3000 },
+      { at: 4000 }
+    ]);
+
+    expect(events).toEqual([]);
+    expect(states['over-current'].active).toBe(false);
+  });
+
+  it('starts the duration over once a reading drops below the threshold', () => {
+    const { events } = run([overCurrent], [
+      { at: 0, reading: { motor_current: 1.8 } },
+      { at: 2000, reading: { motor_current: 0.2 } },
+      { at: 3000, reading: { motor_current: 1.8 } },
+      { at: 5000, reading: { motor_current: 1.8 } }
+    ]);
+
+    expect(events).toEqual([]);
+  });
+
+  it('clears an active alarm only past the hysteresis margin', () => {
+    const { events } = run([overCurrent], [
+      ...[0, 1000, 2000, 3000].map(at => ({ at, reading: { motor_current: 1.8 } })),
+      { at: 4000, reading: { motor_current: 1.4 } },
+      { at: 5000, reading: { motor_current: 1.2 } }
+    ]);
+
+    expect(events.map(({ type, at }) => [type, at])).toEqual([['triggered', 3000], ['cleared', 5000]]);
+  });
+});
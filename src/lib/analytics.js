@@ -0,0 +1,191 @@
+import { fetchRowsInRange } from './rangeQuery';
+import { fetchTelemetryRange } from './telemetryHistory';
+import { GRIP_CONTACT_FSR } from './jaw';
+
+// Ranges offered in the analytics view
+export const ANALYTICS_RANGES = [
+  { key: '7d', label: '7 DAYS', days: 7 },
+  { key: '30d', label: '30 DAYS', days: 30 },
+  { key: '90d', label: '90 DAYS', days: 90 }
+];
+
+// Motor supply (12 V geared motor behind the buck converter), used to turn current into energy
+export const SUPPLY_VOLTAGE = 12;
+
+// Telemetry looked at for the battery estimate; the charge is reported in whole percent
+const BATTERY_WINDOW_MS = 60 * 60 * 1000;
+// Shortest discharge run a rate is estimated from
+const MIN_DISCHARGE_SPAN_MS = 10 * 60 * 1000;
+
+// A day is flagged when a metric moves this far from the average of the days before it
+const ANOMALY_RATIO = 0.2;
+// Days of history needed before a day can be flagged
+const MIN_BASELINE_DAYS = 3;
+
+// Wear signs checked per grip type: the motor drawing more, grips slowing down, the FSR reading less
+export const ANOMALY_CHECKS = [
+  { key: 'meanCurrent', direction: 1, label: 'Mean current rising' },
+  { key: 'timeToForce', direction: 1, label: 'Time to force rising' },
+  { key: 'peakFsr', direction: -1, label: 'Peak FSR dropping' }
+];
+
+const CLOSING_COMMANDS = ['GRIP', 'STEP_GRIP'];
+
+const CYCLE_COLUMNS = 'id, created_at, type, run_s, peak_current, mean_current, peak_fsr';
+
+const present = (values) => values.filter(v => v !== null && v !== undefined);
+
+const average = (values) => {
+  const known = present(values);
+  return known.length ? known.reduce((sum, v) => sum + v, 0) / known.length : null;
+};
+
+const maximum = (values) => {
+  const known = present(values);
+  return known.length ? Math.max(...known) : null;
+};
+
+/**
+ * Derives the per-cycle statistics from a grip_cycles row (see supabase_setup.sql),
+ * measured by the ESP32 during the motor run. It stops closing once the FSR reaches
+ * the target torque, so for a closing cycle that made contact the run time is the time to force.
+ */
+export const toGripCycle = (row) => {
+  const runS = row.run_s === null ? null : Number(row.run_s);
+  const meanCurrent = row.mean_current === null ? null : Number(row.mean_current);
+  const madeContact = CLOSING_COMMANDS.includes(row.type) && row.peak_fsr >= GRIP_CONTACT_FSR;
+
+  return {
+    id: row.id,
+    time: new Date(row.created_at).getTime(),
+    type: row.type,
+    runS,
+    peakCurrent: row.peak_current,
+    meanCurrent,
+    energyJ: meanCurrent !== null && runS !== null ? meanCurrent * SUPPLY_VOLTAGE * runS : null,
+    timeToForce: madeContact ? runS : null,
+    peakFsr: row.peak_fsr
+  };
+};
+
+/**
+ * Fetches the executed motion commands of a unit in a range as grip cycles, oldest first.
+ * truncated is set when the range held more cycles than the row cap.
+ */
+export const fetchGripCycles = async (deviceId, from, to) => {
+  const { rows, truncated, error } = await fetchRowsInRange('grip_cycles', CYCLE_COLUMNS, deviceId, from, to);
+  return { cycles: rows.map(toGripCycle), truncated, error };
+};
+
+/**
+ * Local calendar day of a timestamp, e.g. "2026-10-18"
+ */
+const dayKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Averages the cycles per day and grip type, oldest day first
+ */
+export const summarizeByDay = (cycles) => {
+  const groups = new Map();
+  cycles.forEach(cycle => {
+    const key = `${dayKey(cycle.time)}|${cycle.type}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(cycle);
+  });
+
+  return [...groups.entries()]
+    .map(([key, group]) => {
+      const [day, type] = key.split('|');
+      return {
+        day,
+        type,
+        count: group.length,
+        peakCurrent: maximum(group.map(c => c.peakCurrent)),
+        meanCurrent: average(group.map(c => c.meanCurrent)),
+        energyJ: average(group.map(c => c.energyJ)),
+        timeToForce: average(group.map(c => c.timeToForce)),
+        peakFsr: average(group.map(c => c.peakFsr))
+      };
+    })
+    .sort((a, b) => a.day.localeCompare(b.day) || a.type.localeCompare(b.type));
+};
+
+/**
+ * Flags days on which a grip type drifts from its own history, e.g. a GRIP
+ * drawing 20% more mean current than on the days before. Each day is compared
+ * with the average of all earlier days of the same type.
+ */
+export const findAnomalies = (dailyStats) => {
+  const anomalies = [];
+  const byType = new Map();
+  dailyStats.forEach(day => {
+    if (!byType.has(day.type)) byType.set(day.type, []);
+    byType.get(day.type).push(day);
+  });
+
+  byType.forEach((days, type) => {
+    ANOMALY_CHECKS.forEach(({ key, direction, label }) => {
+      days.forEach((day, index) => {
+        const baseline = average(days.slice(0, index).map(d => d[key]));
+        const history = days.slice(0, index).filter(d => d[key] !== null).length;
+        if (day[key] === null || baseline === null || baseline === 0 || history < MIN_BASELINE_DAYS) return;
+
+        const change = (day[key] - baseline) / baseline;
+        if (change * direction >= ANOMALY_RATIO) {
+          anomalies.push({ day: day.day, type, key, label, value: day[key], baseline, change });
+        }
+      });
+    });
+  });
+
+  return anomalies.sort((a, b) => b.day.localeCompare(a.day));
+};
+
+/**
+ * Discharge rate (%/h) over the latest uninterrupted discharge, by least
+ * squares, and the runtime left at that rate. Null when the unit has been
+ * charging or idle for too short a time to tell.
+ */
+export const estimateBattery = (rows) => {
+  const readings = rows.filter(r => r.battery_pct !== null && r.battery_pct !== undefined);
+  if (readings.length < 2) return null;
+
+  // Walk back from the latest reading until the charge went up (the pack was charged)
+  let start = readings.length - 1;
+  while (start > 0 && readings[start - 1].battery_pct >= readings[start].battery_pct) start--;
+  const run = readings.slice(start);
+
+  const times = run.map(r => new Date(r.created_at).getTime());
+  if (times[times.length - 1] - times[0] < MIN_DISCHARGE_SPAN_MS) return null;
+
+  const hours = times.map(t => (t - times[0]) / 3600000);
+  const meanX = average(hours);
+  const meanY = average(run.map(r => r.battery_pct));
+  let covariance = 0;
+  let variance = 0;
+  run.forEach((r, i) => {
+    covariance += (hours[i] - meanX) * (r.battery_pct - meanY);
+    variance += (hours[i] - meanX) ** 2;
+  });
+
+  const ratePerHour = -covariance / variance;
+  const battery = run[run.length - 1].battery_pct;
+  return {
+    battery,
+    ratePerHour,
+    remainingHours: ratePerHour > 0 ? battery / ratePerHour : null,
+    since: times[0]
+  };
+};
+
+/**
+ * Fetches the last hour of a unit's telemetry and estimates its battery runtime from it
+ */
+export const fetchBatteryEstimate = async (deviceId) => {
+  const to = new Date();
+  const { rows, error } = await fetchTelemetryRange(deviceId, new Date(to.getTime() - BATTERY_WINDOW_MS), to);
+  return { estimate: estimateBattery(rows), error };
+};
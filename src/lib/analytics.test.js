@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { SUPPLY_VOLTAGE, toGripCycle } from './analytics';
+
+const cycleRow = (values) => ({ id: 1, created_at: '2026-10-18T12:00:00Z', type: 'GRIP', run_s: '1.2', peak_current: 1.4, mean_current: 0.9, peak_fsr: 42, ...values });
+
+describe('toGripCycle', () => {
+  it('derives energy and time to force from the run the firmware measured', () => {
+    const cycle = toGripCycle(cycleRow());
+
+    expect(cycle.runS).toBe(1.2);
+    expect(cycle.energyJ).toBeCloseTo(0.9 * SUPPLY_VOLTAGE * 1.2);
+    expect(cycle.timeToForce).toBe(1.2);
+  });
+
+  it('has no time to force for a release or a grip that closed on nothing', () => {
+    expect(toGripCycle(cycleRow({ type: 'RELEASE' })).timeToForce).toBeNull();
+    expect(toGripCycle(cycleRow({ peak_fsr: 2 })).timeToForce).toBeNull();
+  });
+
+  it('leaves the metrics unknown for commands run by firmware that did not measure them', () => {
+    const cycle = toGripCycle(cycleRow({ run_s: null, peak_current: null, mean_current: null, peak_fsr: null }));
+
+    expect(cycle).toMatchObject({ runS: null, meanCurrent: null, energyJ: null, timeToForce: null });
+  });
+});
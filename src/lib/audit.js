@@ -0,0 +1,39 @@
+import { supabase } from './supabaseClient';
+
+// Rows fetched per page of the audit log
+export const AUDIT_PAGE_SIZE = 50;
+
+/**
+ * Identifies this dashboard tab in the audit trail. Kept in sessionStorage so
+ * reloads of the same tab keep their id while other tabs get their own.
+ */
+export const getDashboardSessionId = () => {
+  let id = sessionStorage.getItem('dashboardSessionId');
+  if (!id) {
+    id = crypto.randomUUID();
+    sessionStorage.setItem('dashboardSessionId', id);
+  }
+  return id;
+};
+
+/**
+ * Fetches one page of the command audit trail, newest first.
+ * Filters: deviceId, type, status, user (email substring), from/to (Date).
+ */
+export const fetchAuditLog = async ({ deviceId, type, status, user, from, to }, page = 0) => {
+  let query = supabase
+    .from('command_audit')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .range(page * AUDIT_PAGE_SIZE, (page + 1) * AUDIT_PAGE_SIZE - 1);
+
+  if (deviceId) query = query.eq('device_id', deviceId);
+  if (type) query = query.eq('type', type);
+  if (status) query = query.eq('status', status);
+  if (user) query = query.ilike('issued_by_email', `%${user}%`);
+  if (from) query = query.gte('created_at', from.toISOString());
+  if (to) query = query.lte('created_at', to.toISOString());
+
+  const { data, error } = await query;
+  return { rows: data || [], error };
+};
@@ -0,0 +1,49 @@
+import { supabase } from './supabaseClient';
+
+// Operator roles, least to most privileged
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Operators and admins may send commands; viewers only watch telemetry
+export const canControl = (role) => role === 'operator' || role === 'admin';
+
+// Only admins may re-arm a latched e-stop and change settings
+export const canAdminister = (role) => role === 'admin';
+
+/**
+ * Signs in with email and password
+ */
+export const signInWithPassword = async (email, password) => {
+  const { error } = await supabase.auth.signInWithPassword({ email, password });
+  return error;
+};
+
+/**
+ * Emails a one-time login link that returns to this dashboard
+ */
+export const sendMagicLink = async (email) => {
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: window.location.origin, shouldCreateUser: false }
+  });
+  return error;
+};
+
+export const signOut = () => supabase.auth.signOut();
+
+/**
+ * Reads the role of the signed-in user; new accounts start as viewers.
+ * The last role read is kept so the dashboard still works on a LAN without internet.
+ */
+export const fetchRole = async (userId) => {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) return { role: localStorage.getItem(`role:${userId}`) || 'viewer', error };
+
+  const role = data?.role || 'viewer';
+  localStorage.setItem(`role:${userId}`, role);
+  return { role, error };
+};
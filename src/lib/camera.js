@@ -0,0 +1,114 @@
+import { supabase } from './supabaseClient';
+
+// Storage bucket holding the frames captured when a GRIP/RELEASE executes
+export const SNAPSHOT_BUCKET = 'snapshots';
+// Commands whose execution is captured for incident reviews
+export const SNAPSHOT_COMMANDS = ['GRIP', 'RELEASE'];
+// Frame rate of the canvas the recorder encodes from
+const RECORDING_FPS = 10;
+
+/**
+ * Camera address of a unit: the one last used in this browser, else the one on its device row
+ */
+export const loadCameraIp = (device) => localStorage.getItem(`cameraIp:${device.id}`) ?? device.camera_ip ?? '';
+
+export const saveCameraIp = (deviceId, cameraIp) => {
+  localStorage.setItem(`cameraIp:${deviceId}`, cameraIp);
+};
+
+/**
+ * Time-stamped file name for a capture, e.g. "gripper-01_2026-10-18T09-30-00"
+ */
+export const captureFilename = (deviceId) =>
+  `${deviceId}_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`;
+
+/**
+ * Draws the frame currently shown by the stream <img> onto a canvas.
+ * The <img> must load with crossOrigin="anonymous" (the ESP32-CAM web server
+ * sends Access-Control-Allow-Origin: *), otherwise the canvas is tainted.
+ */
+const drawFrame = (img, canvas) => {
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  canvas.getContext('2d').drawImage(img, 0, 0);
+};
+
+/**
+ * Grabs the current MJPEG frame as a PNG blob; { blob: null, error } when no frame is showing
+ */
+export const captureFrame = (img) => new Promise((resolve) => {
+  if (!img?.naturalWidth) {
+    resolve({ blob: null, error: new Error('No camera frame to capture') });
+    return;
+  }
+  try {
+    const canvas = document.createElement('canvas');
+    drawFrame(img, canvas);
+    canvas.toBlob(blob => resolve({ blob, error: blob ? null : new Error('Could not encode the frame') }), 'image/png');
+  } catch (error) {
+    resolve({ blob: null, error });
+  }
+});
+
+/**
+ * Records the stream shown by an <img> to WebM. The MJPEG frames are copied
+ * onto a canvas at a fixed rate and the canvas is encoded with MediaRecorder.
+ * stop() resolves with { blob, error }.
+ */
+export const createStreamRecorder = (img) => {
+  if (typeof MediaRecorder === 'undefined') {
+    return { error: new Error('This browser cannot record video') };
+  }
+  if (!img?.naturalWidth) return { error: new Error('No camera frame to record') };
+
+  const canvas = document.createElement('canvas');
+  const chunks = [];
+  let recorder;
+  try {
+    drawFrame(img, canvas);
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    recorder = new MediaRecorder(canvas.captureStream(RECORDING_FPS), { mimeType });
+  } catch (error) {
+    return { error };
+  }
+
+  const timer = setInterval(() => {
+    if (img.naturalWidth) canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  }, 1000 / RECORDING_FPS);
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  recorder.start(1000);
+
+  return {
+    error: null,
+    stop: () => new Promise((resolve) => {
+      clearInterval(timer);
+      recorder.onstop = () => resolve(chunks.length
+        ? { blob: new Blob(chunks, { type: 'video/webm' }), error: null }
+        : { blob: null, error: new Error('Nothing was recorded') });
+      recorder.stop();
+    })
+  };
+};
+
+/**
+ * Stores the frame captured for a command under its id, where the
+ * command_audit view finds it (see supabase_setup.sql)
+ */
+export const uploadCommandSnapshot = async (deviceId, commandId, blob) => {
+  const path = `${deviceId}/${commandId}.png`;
+  const { error } = await supabase.storage
+    .from(SNAPSHOT_BUCKET)
+    .upload(path, blob, { contentType: 'image/png' });
+  return { path: error ? null : path, error };
+};
+
+/**
+ * Short-lived link to a stored snapshot, for the audit trail
+ */
+export const fetchSnapshotUrl = async (path) => {
+  const { data, error } = await supabase.storage.from(SNAPSHOT_BUCKET).createSignedUrl(path, 300);
+  return { url: data?.signedUrl || null, error };
+};
@@ -0,0 +1,89 @@
+// Lifecycle of a row in the 'commands' table
+export const COMMAND_STATUS = {
+  PENDING: 'PENDING',       // Inserted by the dashboard, waiting for the ESP32
+  ACKED: 'ACKED',           // Picked up by the ESP32, motor is running
+  EXECUTED: 'EXECUTED',     // Finished by the ESP32
+  FAILED: 'FAILED',         // ESP32 could not run it
+  TIMED_OUT: 'TIMED_OUT',   // Not executed before the dashboard deadline
+  CANCELLED: 'CANCELLED'    // Dropped by an emergency stop
+};
+
+// Every command type the firmware understands
+export const COMMAND_TYPES = ['GRIP', 'RELEASE', 'STEP_GRIP', 'STEP_RELEASE', 'SET_PARAMS', 'RESET', 'STOP', 'ESTOP', 'REARM'];
+
+// Statuses after which a command will never change again
+export const TERMINAL_STATUSES = ['EXECUTED', 'FAILED', 'TIMED_OUT', 'CANCELLED'];
+
+// Commands that change the engaged/released state of the jaw
+export const GRIP_STATE_COMMANDS = ['GRIP', 'RELEASE'];
+
+// Commands that move the motor and therefore carry the torque/speed parameters
+export const MOTION_COMMANDS = ['GRIP', 'RELEASE', 'STEP_GRIP', 'STEP_RELEASE'];
+
+export const DEFAULT_COMMAND_TIMEOUT_MS = 10000;
+
+// Commands that are never held in the offline queue: a stop has to reach the gripper now or fail visibly
+export const UNQUEUEABLE_COMMANDS = ['STOP', 'ESTOP', 'REARM'];
+
+// How many finished commands stay visible in the pending-commands panel
+const MAX_FINISHED_COMMANDS = 8;
+
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+/**
+ * Maps a freshly inserted 'commands' row to the entry kept in the dashboard's command tracker.
+ * Times are taken from the local clock so ages are not skewed by the server's clock.
+ */
+export const toTrackedCommand = (row, attempt = 1) => ({
+  id: row.id,
+  type: row.type,
+  value: row.value,
+  status: row.status,
+  sentAt: Date.now(),
+  ackedAt: null,
+  completedAt: null,
+  attempt
+});
+
+/**
+ * Adds a freshly inserted command to the tracker, dropping the oldest finished ones
+ */
+export const addTrackedCommand = (commands, command) => {
+  const next = [command, ...commands];
+  const finished = next.filter(c => isTerminalStatus(c.status));
+  const overflow = new Set(finished.slice(MAX_FINISHED_COMMANDS).map(c => c.id));
+  return next.filter(c => !overflow.has(c.id));
+};
+
+/**
+ * Applies a status update coming from the database to the matching tracked command.
+ * Finished commands are left untouched so a late EXECUTED cannot revive a TIMED_OUT one.
+ */
+export const applyCommandUpdate = (commands, row) =>
+  commands.map(c => (c.id === row.id && !isTerminalStatus(c.status)
+    ? {
+      ...c,
+      status: row.status,
+      ackedAt: row.status === COMMAND_STATUS.ACKED ? Date.now() : c.ackedAt,
+      completedAt: isTerminalStatus(row.status) ? Date.now() : null
+    }
+    : c));
+
+/**
+ * Newest GRIP/RELEASE still in flight, shown on the Engage/Release toggle until
+ * the jaw reports its new state
+ */
+export const findPendingGripCommand = (commands) =>
+  commands.find(c => GRIP_STATE_COMMANDS.includes(c.type) && !isTerminalStatus(c.status)) || null;
+
+/**
+ * Entry of the offline queue. Nothing is sent until the operator approves it
+ * for sending on reconnect.
+ */
+export const toQueuedCommand = (type, value) => ({
+  id: crypto.randomUUID(),
+  type,
+  value,
+  queuedAt: Date.now(),
+  approved: false
+});
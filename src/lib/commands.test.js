@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import {
+  COMMAND_STATUS,
+  toTrackedCommand,
+  addTrackedCommand,
+  applyCommandUpdate,
+  findPendingGripCommand
+} from './commands';
+
+const { PENDING, ACKED, EXECUTED, FAILED, TIMED_OUT } = COMMAND_STATUS;
+
+const sent = (id, type = 'GRIP', status = PENDING) => toTrackedCommand({ id, type, value: null, status });
+
+describe('command tracking', () => {
+  it('follows a command from PENDING through ACKED to EXECUTED', () => {
+    let commands = addTrackedCommand([], sent(1));
+    expect(commands[0]).toMatchObject({ id: 1, status: PENDING, ackedAt: null, completedAt: null, attempt: 1 });
+
+    commands = applyCommandUpdate(commands, { id: 1, status: ACKED });
+    expect(commands[0].status).toBe(ACKED);
+    expect(commands[0].ackedAt).not.toBeNull();
+    expect(commands[0].completedAt).toBeNull();
+
+    commands = applyCommandUpdate(commands, { id: 1, status: EXECUTED });
+    expect(commands[0].status).toBe(EXECUTED);
+    expect(commands[0].completedAt).not.toBeNull();
+  });
+
+  it('does not let a late EXECUTED revive a timed-out command', () => {
+    let commands = applyCommandUpdate([sent(1)], { id: 1, status: TIMED_OUT });
+    commands = applyCommandUpdate(commands, { id: 1, status: EXECUTED });
+    expect(commands[0].status).toBe(TIMED_OUT);
+  });
+
+  it('only updates the matching command', () => {
+    const commands = applyCommandUpdate([sent(2), sent(1)], { id: 1, status: FAILED });
+    expect(commands.map(c => c.status)).toEqual([PENDING, FAILED]);
+  });
+
+  it('keeps the newest command first and drops the oldest finished ones', () => {
+    let commands = [];
+    for (let id = 1; id <= 10; id++) commands = addTrackedCommand(commands, sent(id, 'STEP_GRIP', EXECUTED));
+    commands = addTrackedCommand(commands, sent(11));
+
+    expect(commands[0].id).toBe(11);
+    expect(commands.filter(c => c.status === EXECUTED)).toHaveLength(8);
+    expect(commands.map(c => c.id)).not.toContain(1);
+  });
+
+  it('finds the GRIP/RELEASE still in flight', () => {
+    const commands = [sent(3, 'STEP_GRIP'), sent(2, 'RELEASE'), sent(1, 'GRIP', EXECUTED)];
+    expect(findPendingGripCommand(commands).id).toBe(2);
+    expect(findPendingGripCommand(applyCommandUpdate(commands, { id: 2, status: EXECUTED }))).toBeNull();
+  });
+});
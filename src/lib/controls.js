@@ -0,0 +1,72 @@
+// Actions the keyboard and a gamepad can trigger. Motion actions are held back in
+// dead-man mode unless the dead-man input is held; repeating ones fire while held.
+export const CONTROL_ACTIONS = [
+  { key: 'grip', label: 'Grip', command: 'GRIP', isMotion: true },
+  { key: 'release', label: 'Release', command: 'RELEASE', isMotion: true },
+  { key: 'stepGrip', label: 'Tighten step', command: 'STEP_GRIP', isMotion: true, repeats: true },
+  { key: 'stepRelease', label: 'Loosen step', command: 'STEP_RELEASE', isMotion: true, repeats: true },
+  { key: 'stop', label: 'Stop motion' },
+  { key: 'estop', label: 'Emergency stop' },
+  { key: 'deadman', label: 'Dead-man (hold)' }
+];
+
+// Bindings are KeyboardEvent.code values and button indexes of the standard gamepad layout
+export const DEFAULT_CONTROL_BINDINGS = {
+  keyboard: {
+    grip: 'KeyG',
+    release: 'KeyR',
+    stepGrip: 'ArrowUp',
+    stepRelease: 'ArrowDown',
+    stop: 'KeyS',
+    estop: 'Escape',
+    deadman: 'Space'
+  },
+  gamepad: {
+    grip: 0,         // A
+    release: 3,      // Y
+    stepGrip: 7,     // Right trigger
+    stepRelease: 6,  // Left trigger
+    stop: 1,         // B
+    estop: 9,        // Start
+    deadman: 4       // Left bumper
+  },
+  repeatMs: 600,     // Held steps fire at most this often, and only once the previous step has finished
+  deadman: false     // Motion only while the dead-man input is held; releasing it sends a STOP
+};
+
+// Fastest rate a held step may repeat at: one 250 ms pulse must end before the next starts
+export const MIN_REPEAT_MS = 250;
+
+const STORAGE_KEY = 'controlBindings';
+
+/**
+ * Loads the bindings of this browser (they belong to its keyboard and controller), falling back to the defaults
+ */
+export const loadControlBindings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      keyboard: { ...DEFAULT_CONTROL_BINDINGS.keyboard, ...saved.keyboard },
+      gamepad: { ...DEFAULT_CONTROL_BINDINGS.gamepad, ...saved.gamepad },
+      repeatMs: Math.max(MIN_REPEAT_MS, Number(saved.repeatMs) || DEFAULT_CONTROL_BINDINGS.repeatMs),
+      deadman: Boolean(saved.deadman)
+    };
+  } catch {
+    return DEFAULT_CONTROL_BINDINGS;
+  }
+};
+
+export const saveControlBindings = (bindings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+};
+
+/**
+ * Readable name of a key code, e.g. "KeyG" -> "G", "ArrowUp" -> "↑"
+ */
+export const describeKey = (code) => {
+  if (!code) return '--';
+  const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+  return arrows[code] || code.replace(/^Key|^Digit/, '');
+};
+
+export const controlAction = (key) => CONTROL_ACTIONS.find(a => a.key === key);
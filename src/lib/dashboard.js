@@ -0,0 +1,51 @@
+import { MOTION_COMMANDS } from './commands';
+import { ESTOP_EXEMPT_COMMANDS } from './estop';
+import { serializeGripperParams } from './gripperParams';
+
+// Live readings shown until the unit posts its first telemetry row
+export const INITIAL_STATS = {
+  temperature: 0,
+  humidity: 0,
+  motorCurrent: 0,
+  fsrValue: 0,
+  battery: null,       // % charge; null until a unit reports it
+  jawPosition: null,   // % closed; null until a unit reports it
+  limitOpen: false,
+  limitClosed: false
+};
+
+/**
+ * Maps a telemetry row to the live readings of the dashboard. A missing battery
+ * reading stays unknown instead of showing a full pack; 0% is a real reading.
+ */
+export const toLiveStats = (row) => ({
+  temperature: row.temperature ?? 0,
+  humidity: row.humidity ?? 0,
+  motorCurrent: row.motor_current ?? 0,
+  fsrValue: row.fsr_value ?? 0,
+  battery: row.battery_pct ?? null,
+  jawPosition: row.jaw_position ?? null,
+  limitOpen: Boolean(row.limit_open),
+  limitClosed: Boolean(row.limit_closed)
+});
+
+// The System Power card and mobile readings turn red at or below this charge
+export const isBatteryLow = (battery) => battery !== null && battery <= 20;
+
+/**
+ * Why the dashboard refuses to send a command, or null if it may go out.
+ * Viewers only watch (the RLS policies enforce the same rule server-side), and
+ * nothing but safety commands may pass while the e-stop is latched.
+ */
+export const rejectCommand = (type, { canControl, role, estopActive }) => {
+  if (!canControl) return `${type} rejected, your role (${role}) cannot send commands.`;
+  if (estopActive && !ESTOP_EXEMPT_COMMANDS.includes(type)) return `${type} rejected, emergency stop is latched.`;
+  return null;
+};
+
+/**
+ * Value sent with a command: motion commands without one carry the current
+ * torque/speed so the ESP32 can grip gently
+ */
+export const commandValue = (type, value, gripperParams) =>
+  (value === null && MOTION_COMMANDS.includes(type) ? serializeGripperParams(gripperParams) : value);
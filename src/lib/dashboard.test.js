@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { INITIAL_STATS, toLiveStats, isBatteryLow, rejectCommand, commandValue } from './dashboard';
+
+describe('toLiveStats', () => {
+  it('maps a telemetry row to the live readings', () => {
+    const stats = toLiveStats({
+      temperature: 24.5,
+      humidity: 40,
+      motor_current: 1.2,
+      fsr_value: 35,
+      battery_pct: 80,
+      jaw_position: 60,
+      limit_open: false,
+      limit_closed: true
+    });
+    expect(stats).toEqual({
+      temperature: 24.5,
+      humidity: 40,
+      motorCurrent: 1.2,
+      fsrValue: 35,
+      battery: 80,
+      jawPosition: 60,
+      limitOpen: false,
+      limitClosed: true
+    });
+  });
+
+  it('keeps an empty battery at 0% instead of showing a full pack', () => {
+    expect(toLiveStats({ battery_pct: 0 }).battery).toBe(0);
+  });
+
+  it('leaves the battery and jaw unknown when the unit does not report them', () => {
+    const stats = toLiveStats({ fsr_value: 10 });
+    expect(stats.battery).toBeNull();
+    expect(stats.jawPosition).toBeNull();
+  });
+
+  it('reads missing sensors as 0 and missing limit switches as released', () => {
+    const stats = toLiveStats({ temperature: null });
+    expect(stats).toMatchObject({ temperature: 0, humidity: 0, motorCurrent: 0, fsrValue: 0, limitOpen: false, limitClosed: false });
+  });
+
+  it('starts with nothing reported', () => {
+    expect(INITIAL_STATS.battery).toBeNull();
+    expect(INITIAL_STATS.jawPosition).toBeNull();
+  });
+});
+
+describe('isBatteryLow', () => {
+  it('flags 20% and below', () => {
+    expect(isBatteryLow(0)).toBe(true);
+    expect(isBatteryLow(20)).toBe(true);
+    expect(isBatteryLow(21)).toBe(false);
+  });
+
+  it('does not flag an unknown battery', () => {
+    expect(isBatteryLow(null)).toBe(false);
+  });
+});
+
+describe('rejectCommand', () => {
+  const operator = { canControl: true, role: 'operator', estopActive: false };
+
+  it('lets an operator send commands', () => {
+    expect(rejectCommand('GRIP', operator)).toBeNull();
+  });
+
+  it('rejects every command of a viewer', () => {
+    expect(rejectCommand('ESTOP', { ...operator, canControl: false, role: 'viewer' }))
+      .toBe('ESTOP rejected, your role (viewer) cannot send commands.');
+  });
+
+  it('only lets safety commands through while the e-stop is latched', () => {
+    const latched = { ...operator, estopActive: true };
+    expect(rejectCommand('GRIP', latched)).toBe('GRIP rejected, emergency stop is latched.');
+    expect(rejectCommand('STOP', latched)).toBeNull();
+    expect(rejectCommand('REARM', latched)).toBeNull();
+  });
+});
+
+describe('commandValue', () => {
+  const params = { torque: 40, speed: 70 };
+
+  it('attaches the torque and speed to motion commands', () => {
+    expect(JSON.parse(commandValue('STEP_GRIP', null, params))).toEqual(params);
+  });
+
+  it('keeps an explicit value', () => {
+    expect(commandValue('GRIP', '{"torque":10,"speed":10}', params)).toBe('{"torque":10,"speed":10}');
+  });
+
+  it('sends no value with other commands', () => {
+    expect(commandValue('RESET', null, params)).toBeNull();
+  });
+});
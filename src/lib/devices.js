@@ -0,0 +1,64 @@
+import { supabase } from './supabaseClient';
+import { JAW_STATES, deriveJawState, isJawEngaged } from './jaw';
+
+// A unit counts as online if it posted telemetry within this window
+export const LINK_TIMEOUT_MS = 15000;
+
+// Used when the registry cannot be read, so a single-unit setup keeps working
+export const FALLBACK_DEVICE = { id: 'gripper-01', name: 'Gripper 01', camera_ip: '', last_seen: null };
+
+export const isDeviceOnline = (lastSeen, now = Date.now()) =>
+  Boolean(lastSeen) && now - new Date(lastSeen).getTime() < LINK_TIMEOUT_MS;
+
+/**
+ * Lists every registered gripper unit. Falls back to the last list read when
+ * Supabase is unreachable, e.g. in the field on a LAN without internet.
+ */
+export const fetchDevices = async () => {
+  const { data, error } = await supabase
+    .from('devices')
+    .select('id, name, camera_ip, last_seen')
+    .order('name', { ascending: true });
+
+  if (error) return { devices: JSON.parse(localStorage.getItem('devices') || '[]'), error };
+
+  localStorage.setItem('devices', JSON.stringify(data));
+  return { devices: data, error };
+};
+
+/**
+ * Collects link status, grip state and battery of every unit for the fleet overview
+ */
+export const fetchFleetStatus = async () => {
+  const { devices, error } = await fetchDevices();
+  if (error) return { fleet: [], error };
+
+  const fleet = await Promise.all(devices.map(async (device) => {
+    const { data } = await supabase
+      .from('telemetry')
+      .select('battery_pct, fsr_value, jaw_position, limit_open, limit_closed, created_at')
+      .eq('device_id', device.id)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    const latest = data?.[0];
+    const isOnline = isDeviceOnline(device.last_seen);
+    const jawState = deriveJawState(latest, !isOnline);
+    return {
+      ...device,
+      isOnline,
+      battery: latest?.battery_pct ?? null,
+      fsrValue: latest?.fsr_value ?? null,
+      isGripped: jawState === JAW_STATES.UNKNOWN ? null : isJawEngaged(jawState)
+    };
+  }));
+
+  return { fleet, error: null };
+};
+
+/**
+ * Remembers the unit this browser last controlled
+ */
+export const loadSelectedDeviceId = () => localStorage.getItem('selectedDeviceId');
+
+export const saveSelectedDeviceId = (id) => localStorage.setItem('selectedDeviceId', id);
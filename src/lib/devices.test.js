@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { LINK_TIMEOUT_MS, isDeviceOnline } from './devices';
+
+describe('isDeviceOnline', () => {
+  const now = Date.parse('2026-10-18T12:00:00Z');
+
+  it('is online while the last telemetry is younger than the link timeout', () => {
+    expect(isDeviceOnline(now - LINK_TIMEOUT_MS + 1, now)).toBe(true);
+  });
+
+  it('goes stale once the link timeout has passed', () => {
+    expect(isDeviceOnline(now - LINK_TIMEOUT_MS, now)).toBe(false);
+    expect(isDeviceOnline(now - 60000, now)).toBe(false);
+  });
+
+  it('accepts the ISO timestamps of devices.last_seen', () => {
+    expect(isDeviceOnline('2026-10-18T11:59:55Z', now)).toBe(true);
+    expect(isDeviceOnline('2026-10-18T11:59:00Z', now)).toBe(false);
+  });
+
+  it('is offline for a unit that never posted', () => {
+    expect(isDeviceOnline(null, now)).toBe(false);
+  });
+});
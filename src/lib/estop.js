@@ -0,0 +1,102 @@
+import { supabase } from './supabaseClient';
+import { getDashboardSessionId } from './audit';
+import { MOTION_COMMANDS } from './commands';
+
+// Priority assigned to safety commands so the firmware fetches them ahead of anything queued
+export const ESTOP_PRIORITY = 100;
+
+// Command types that are still allowed while the emergency stop is latched
+export const ESTOP_EXEMPT_COMMANDS = ['ESTOP', 'REARM', 'STOP'];
+
+/**
+ * Maps a system_state row to the shape used by the dashboard
+ */
+export const toEstopState = (row) => ({
+  active: Boolean(row?.estop_active),
+  triggeredAt: row?.estop_triggered_at || null,
+  clearedAt: row?.estop_cleared_at || null
+});
+
+/**
+ * Reads a unit's shared latched e-stop flag so every open dashboard starts in the same state
+ */
+export const fetchEstopState = async (deviceId) => {
+  const { data, error } = await supabase
+    .from('system_state')
+    .select('estop_active, estop_triggered_at, estop_cleared_at')
+    .eq('device_id', deviceId)
+    .maybeSingle();
+
+  return { state: toEstopState(data), error };
+};
+
+/**
+ * Fires the emergency stop: sends a top-priority ESTOP command, cancels every
+ * PENDING command and latches the shared state. Each step runs even if an
+ * earlier one fails, so the returned list holds every error that occurred.
+ */
+export const triggerEstop = async (deviceId) => {
+  const errors = [];
+
+  const { error: stopError } = await supabase
+    .from('commands')
+    .insert([{ device_id: deviceId, session_id: getDashboardSessionId(), type: 'ESTOP', status: 'PENDING', priority: ESTOP_PRIORITY }]);
+  if (stopError) errors.push(stopError);
+
+  const { error: cancelError } = await supabase
+    .from('commands')
+    .update({ status: 'CANCELLED' })
+    .eq('device_id', deviceId)
+    .eq('status', 'PENDING')
+    .neq('type', 'ESTOP');
+  if (cancelError) errors.push(cancelError);
+
+  const { error: latchError } = await supabase
+    .from('system_state')
+    .update({ estop_active: true, estop_triggered_at: new Date().toISOString() })
+    .eq('device_id', deviceId);
+  if (latchError) errors.push(latchError);
+
+  return errors;
+};
+
+/**
+ * Stops the motor without latching anything: sends a top-priority STOP and
+ * cancels the PENDING motion commands so nothing queued runs after it.
+ * Used by the dead-man's switch; returns every error that occurred.
+ */
+export const stopMotion = async (deviceId) => {
+  const errors = [];
+
+  const { error: stopError } = await supabase
+    .from('commands')
+    .insert([{ device_id: deviceId, session_id: getDashboardSessionId(), type: 'STOP', status: 'PENDING', priority: ESTOP_PRIORITY }]);
+  if (stopError) errors.push(stopError);
+
+  const { error: cancelError } = await supabase
+    .from('commands')
+    .update({ status: 'CANCELLED' })
+    .eq('device_id', deviceId)
+    .eq('status', 'PENDING')
+    .in('type', MOTION_COMMANDS);
+  if (cancelError) errors.push(cancelError);
+
+  return errors;
+};
+
+/**
+ * Clears the latched e-stop and tells the firmware it may accept motion commands again.
+ * The firmware is only re-armed once the shared state has actually been cleared.
+ */
+export const rearmEstop = async (deviceId) => {
+  const { error: unlatchError } = await supabase
+    .from('system_state')
+    .update({ estop_active: false, estop_cleared_at: new Date().toISOString() })
+    .eq('device_id', deviceId);
+  if (unlatchError) return [unlatchError];
+
+  const { error: rearmError } = await supabase
+    .from('commands')
+    .insert([{ device_id: deviceId, session_id: getDashboardSessionId(), type: 'REARM', status: 'PENDING', priority: ESTOP_PRIORITY }]);
+  return rearmError ? [rearmError] : [];
+};
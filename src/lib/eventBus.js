@@ -0,0 +1,51 @@
+/**
+ * Minimal publish/subscribe channel used to fan realtime rows out to
+ * long-running consumers (e.g. the sequence runner) without re-subscribing.
+ */
+export const createEventBus = () => {
+  const listeners = new Set();
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    emit(value) {
+      listeners.forEach(listener => listener(value));
+    }
+  };
+};
+
+/**
+ * Resolves with the first bus value matching the predicate. Rejects with the
+ * signal's abort reason, or with timeoutMessage once timeoutMs has passed.
+ */
+export const waitForEvent = (bus, predicate, signal, timeoutMs, timeoutMessage) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  let timer = null;
+  const cleanup = () => {
+    unsubscribe();
+    clearTimeout(timer);
+    signal.removeEventListener('abort', onAbort);
+  };
+  const onAbort = () => {
+    cleanup();
+    reject(signal.reason);
+  };
+  const unsubscribe = bus.subscribe(value => {
+    if (!predicate(value)) return;
+    cleanup();
+    resolve(value);
+  });
+
+  signal.addEventListener('abort', onAbort);
+  if (timeoutMs) {
+    timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(timeoutMessage));
+    }, timeoutMs);
+  }
+});
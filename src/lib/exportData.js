@@ -0,0 +1,136 @@
+import { fetchRowsInRange } from './rangeQuery';
+import { fetchTelemetryRange } from './telemetryHistory';
+
+const COMMAND_COLUMNS = 'id, created_at, type, value, status, priority, acked_at, completed_at';
+
+// Column order of the merged telemetry + command export
+export const TIMELINE_COLUMNS = [
+  'created_at',
+  'kind',
+  'id',
+  'fsr_value',
+  'motor_current',
+  'temperature',
+  'humidity',
+  'battery_pct',
+  'jaw_position',
+  'limit_open',
+  'limit_closed',
+  'command_type',
+  'command_value',
+  'command_status',
+  'acked_at',
+  'completed_at',
+  'fsr_before',
+  'current_before',
+  'fsr_after',
+  'current_after'
+];
+
+export const LOG_COLUMNS = ['time', 'message'];
+
+/**
+ * Interleaves telemetry and command rows by timestamp. Each command row also
+ * carries the FSR/current readings just before and just after it was issued.
+ */
+export const mergeTimeline = (telemetryRows, commandRows) => {
+  const timeOf = (row) => new Date(row.created_at).getTime();
+  const timeline = [];
+  let t = 0;
+
+  commandRows.forEach(command => {
+    const commandTime = timeOf(command);
+    while (t < telemetryRows.length && timeOf(telemetryRows[t]) <= commandTime) {
+      timeline.push({ kind: 'telemetry', ...telemetryRows[t] });
+      t++;
+    }
+
+    const before = telemetryRows[t - 1];
+    const after = telemetryRows[t];
+    timeline.push({
+      kind: 'command',
+      id: command.id,
+      created_at: command.created_at,
+      command_type: command.type,
+      command_value: command.value,
+      command_status: command.status,
+      acked_at: command.acked_at,
+      completed_at: command.completed_at,
+      fsr_before: before?.fsr_value ?? null,
+      current_before: before?.motor_current ?? null,
+      fsr_after: after?.fsr_value ?? null,
+      current_after: after?.motor_current ?? null
+    });
+  });
+
+  while (t < telemetryRows.length) {
+    timeline.push({ kind: 'telemetry', ...telemetryRows[t] });
+    t++;
+  }
+
+  return timeline;
+};
+
+/**
+ * Fetches a unit's telemetry and commands for a range and merges them into one timeline.
+ * truncated is set when either table hit the row cap.
+ */
+export const fetchTimeline = async (deviceId, from, to) => {
+  const [telemetry, commands] = await Promise.all([
+    fetchTelemetryRange(deviceId, from, to),
+    fetchRowsInRange('commands', COMMAND_COLUMNS, deviceId, from, to)
+  ]);
+
+  return {
+    rows: mergeTimeline(telemetry.rows, commands.rows),
+    truncated: telemetry.truncated || commands.truncated,
+    error: telemetry.error || commands.error
+  };
+};
+
+/**
+ * Quotes a CSV cell when it contains a separator, quote or line break
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows as CSV with a header line
+ */
+export const toCsv = (rows, columns) =>
+  [columns.join(','), ...rows.map(row => columns.map(column => toCsvCell(row[column])).join(','))].join('\n') + '\n';
+
+/**
+ * Serializes rows as newline-delimited JSON, one object per line
+ */
+export const toNdjson = (rows) => rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+
+/**
+ * Serializes rows in the chosen format ('csv' or 'ndjson')
+ */
+export const serializeRows = (rows, columns, format) =>
+  format === 'csv' ? toCsv(rows, columns) : toNdjson(rows);
+
+/**
+ * Triggers a browser download of a blob. The object URL is revoked on a later
+ * tick: revoking it right after click() can cancel the download in Firefox.
+ */
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Triggers a browser download of generated text
+ */
+export const downloadFile = (filename, content, format) => {
+  const type = format === 'csv' ? 'text/csv' : 'application/x-ndjson';
+  downloadBlob(`${filename}.${format === 'csv' ? 'csv' : 'ndjson'}`, new Blob([content], { type }));
+};
@@ -0,0 +1,90 @@
+import { COMMAND_STATUS, isTerminalStatus } from './commands';
+import { waitForEvent } from './eventBus';
+
+// Operator-adjustable limits of a force-target grip
+export const DEFAULT_FORCE_GRIP = {
+  targetFsr: 40,    // % grip pressure to settle at
+  tolerance: 5,     // ± % accepted around the target
+  maxCurrent: 2.0,  // A; above start-up spikes, the over-current alarm covers sustained load
+  timeoutMs: 20000  // Whole run, including waiting for telemetry
+};
+
+/**
+ * Prepares a supervised grip to a target FSR. Each pass reads the latest
+ * telemetry, and while the force is below target - tolerance sends a
+ * STEP_GRIP, waits for it to be EXECUTED and for the next reading. The step
+ * carries the target as its torque, so the ESP32 itself stops closing there.
+ * A step whose measured peak current, or a reading between steps, is over
+ * maxCurrent aborts the run, as does the timeout. The firmware posts no telemetry
+ * while the motor runs and does not cut a step short on current, so a step is
+ * only judged once it has finished. If the run ends while a step may still be
+ * queued or running, the motor is stopped before the run reports its end.
+ * Call start() to run and abort() to stop.
+ *
+ * deps: { sendCommand(type, torque) -> inserted row | null, stopMotion() -> Promise,
+ *         commandBus, telemetryBus, onProgress(partialProgress), onSample({ t, fsr, current }) }
+ */
+export const createForceGripRun = ({ targetFsr, tolerance, maxCurrent, timeoutMs }, deps) => {
+  const { sendCommand, stopMotion, commandBus, telemetryBus, onProgress, onSample } = deps;
+  const controller = new AbortController();
+  const { signal } = controller;
+  let stopReason = null; // 'aborted' when the operator stopped the run
+
+  return {
+    async start() {
+      const startedAt = Date.now();
+      const timer = setTimeout(() => {
+        controller.abort(new Error(`Target not reached within ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+      const unsubscribe = telemetryBus.subscribe((row) => {
+        onSample({ t: (Date.now() - startedAt) / 1000, fsr: row.fsr_value, current: row.motor_current });
+        if (row.motor_current > maxCurrent) {
+          controller.abort(new Error(`Over-current: ${row.motor_current}A exceeds ${maxCurrent}A`));
+        }
+      });
+      const nextReading = () => waitForEvent(telemetryBus, () => true, signal);
+      let stepInFlight = false; // A STEP_GRIP sent but not yet finished on the gripper
+
+      try {
+        let steps = 0;
+        onProgress({ state: 'running', steps });
+        let reading = await nextReading();
+
+        while (reading.fsr_value < targetFsr - tolerance) {
+          if (reading.limit_closed) throw new Error('Jaw fully closed before reaching the target force');
+
+          stepInFlight = true;
+          const row = await sendCommand('STEP_GRIP', targetFsr);
+          if (!row) {
+            stepInFlight = false;
+            throw new Error('STEP_GRIP could not be sent');
+          }
+          const update = await waitForEvent(commandBus, u => u.id === row.id && isTerminalStatus(u.status), signal);
+          stepInFlight = false;
+          if (update.status !== COMMAND_STATUS.EXECUTED) throw new Error(`STEP_GRIP ended ${update.status}`);
+          if (update.peak_current > maxCurrent) {
+            throw new Error(`Over-current: step drew ${update.peak_current}A, above ${maxCurrent}A`);
+          }
+
+          reading = await nextReading();
+          onProgress({ state: 'running', steps: ++steps, fsr: reading.fsr_value });
+        }
+
+        if (reading.fsr_value > targetFsr + tolerance) {
+          throw new Error(`Overshot: FSR ${reading.fsr_value}% is above ${targetFsr + tolerance}%`);
+        }
+        onProgress({ state: 'done', steps, fsr: reading.fsr_value });
+      } catch (error) {
+        if (stepInFlight) await stopMotion();
+        onProgress({ state: stopReason || 'failed', message: error.message });
+      } finally {
+        clearTimeout(timer);
+        unsubscribe();
+      }
+    },
+    abort() {
+      stopReason = 'aborted';
+      controller.abort(new Error('Force grip aborted'));
+    }
+  };
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from './eventBus';
+import { COMMAND_STATUS } from './commands';
+import { DEFAULT_FORCE_GRIP, createForceGripRun } from './forceGrip';
+
+/**
+ * A force grip wired to in-memory buses; sent steps get ids 1, 2, ...
+ */
+const setUp = () => {
+  const commandBus = createEventBus();
+  const telemetryBus = createEventBus();
+  const progress = [];
+  let nextId = 1;
+  const deps = {
+    sendCommand: vi.fn(async (type) => ({ id: nextId++, type })),
+    stopMotion: vi.fn(async () => []),
+    commandBus,
+    telemetryBus,
+    onProgress: (update) => progress.push(update),
+    onSample: () => {}
+  };
+  const run = createForceGripRun(DEFAULT_FORCE_GRIP, deps);
+  const started = run.start();
+  return { run, started, deps, commandBus, telemetryBus, progress };
+};
+
+describe('createForceGripRun', () => {
+  it('stops the motor when aborted while a step is in flight', async () => {
+    const { run, started, deps, telemetryBus, progress } = setUp();
+
+    telemetryBus.emit({ fsr_value: 0, motor_current: 0.05 });
+    await vi.waitFor(() => expect(deps.sendCommand).toHaveBeenCalledTimes(1));
+    run.abort();
+    await started;
+
+    expect(deps.stopMotion).toHaveBeenCalledTimes(1);
+    expect(progress.at(-1)).toMatchObject({ state: 'aborted' });
+  });
+
+  it('fails on a step whose measured peak current is over the limit', async () => {
+    const { started, deps, commandBus, telemetryBus, progress } = setUp();
+
+    telemetryBus.emit({ fsr_value: 0, motor_current: 0.05 });
+    await vi.waitFor(() => expect(deps.sendCommand).toHaveBeenCalledTimes(1));
+    commandBus.emit({ id: 1, status: COMMAND_STATUS.EXECUTED, peak_current: DEFAULT_FORCE_GRIP.maxCurrent + 0.5 });
+    await started;
+
+    expect(progress.at(-1)).toMatchObject({ state: 'failed', message: expect.stringMatching(/^Over-current/) });
+    expect(deps.stopMotion).not.toHaveBeenCalled(); // The step had already finished
+  });
+
+  it('does not send a stop when it ends between steps', async () => {
+    const { run, started, deps, commandBus, telemetryBus, progress } = setUp();
+
+    telemetryBus.emit({ fsr_value: 0, motor_current: 0.05 });
+    await vi.waitFor(() => expect(deps.sendCommand).toHaveBeenCalledTimes(1));
+    commandBus.emit({ id: 1, status: COMMAND_STATUS.EXECUTED, peak_current: 0.8 });
+    await Promise.resolve();
+    run.abort();
+    await started;
+
+    expect(deps.stopMotion).not.toHaveBeenCalled();
+    expect(progress.at(-1)).toMatchObject({ state: 'aborted' });
+  });
+});
@@ -0,0 +1,39 @@
+// Actuation parameters sent with every motion command (both 0-100%)
+export const DEFAULT_GRIPPER_PARAMS = {
+  torque: 75, // Target grip pressure; the ESP32 stops closing once the FSR reaches it
+  speed: 40   // Motor duty cycle while moving
+};
+
+const storageKey = (deviceId) => `gripperParams:${deviceId}`;
+
+const clampPercent = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(100, Math.max(0, Math.round(number))) : fallback;
+};
+
+/**
+ * Loads the saved torque/speed for a device, falling back to the defaults
+ */
+export const loadGripperParams = (deviceId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(deviceId))) || {};
+    return {
+      torque: clampPercent(saved.torque, DEFAULT_GRIPPER_PARAMS.torque),
+      speed: clampPercent(saved.speed, DEFAULT_GRIPPER_PARAMS.speed)
+    };
+  } catch {
+    return { ...DEFAULT_GRIPPER_PARAMS };
+  }
+};
+
+/**
+ * Persists the torque/speed for a device so they survive a reload
+ */
+export const saveGripperParams = (deviceId, params) => {
+  localStorage.setItem(storageKey(deviceId), JSON.stringify(params));
+};
+
+/**
+ * Serializes parameters for the 'value' column of a command
+ */
+export const serializeGripperParams = ({ torque, speed }) => JSON.stringify({ torque, speed });
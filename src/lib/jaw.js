@@ -0,0 +1,33 @@
+// Jaw state reported by the ESP32, as shown on the Engage/Release toggle
+export const JAW_STATES = {
+  OPEN: 'open',         // Open limit switch pressed (or position at 0%)
+  PARTIAL: 'partial',   // Somewhere in between, nothing held
+  GRIPPED: 'gripped',   // Holding an object: the FSR feels pressure
+  CLOSED: 'closed',     // Closed limit switch pressed, nothing between the fingers
+  UNKNOWN: 'unknown'    // Telemetry is stale or carries no position
+};
+
+// FSR reading above which the fingers are considered to be holding something
+export const GRIP_CONTACT_FSR = 10;
+
+// Position within which the jaw counts as open when the switch is not reported
+const OPEN_POSITION_PCT = 2;
+
+/**
+ * Derives the jaw state from a telemetry row. Stale data (see LINK_TIMEOUT_MS)
+ * must be passed as isStale, so a frozen reading is never shown as the truth.
+ */
+export const deriveJawState = (reading, isStale) => {
+  if (isStale || reading?.jaw_position === null || reading?.jaw_position === undefined) {
+    return JAW_STATES.UNKNOWN;
+  }
+  if (reading.fsr_value >= GRIP_CONTACT_FSR) return JAW_STATES.GRIPPED;
+  if (reading.limit_closed) return JAW_STATES.CLOSED;
+  if (reading.limit_open || reading.jaw_position <= OPEN_POSITION_PCT) return JAW_STATES.OPEN;
+  return JAW_STATES.PARTIAL;
+};
+
+/**
+ * True if the toggle should offer RELEASE rather than ENGAGE
+ */
+export const isJawEngaged = (jawState) => jawState === JAW_STATES.GRIPPED || jawState === JAW_STATES.CLOSED;
@@ -0,0 +1,81 @@
+import { createEventBus } from './eventBus';
+
+// Health of the dashboard's own link (browser <-> Supabase or LAN broker), not the ESP32's
+export const LINK_STATES = {
+  ONLINE: 'online',             // Every channel is subscribed
+  RECONNECTING: 'reconnecting', // A channel dropped and is being resubscribed
+  OFFLINE: 'offline'            // The browser reports no network at all
+};
+
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Delay before resubscribe attempt n (0-based): 1 s, 2 s, 4 s ... capped at 30 s
+ */
+export const backoffDelay = (attempt) => Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+
+/**
+ * Aggregates the state of every realtime channel and the browser's online flag
+ * into one link status. Channels report themselves as 'connecting', 'up' or
+ * 'down'; a down channel passes its retry time and a retryNow callback, which
+ * is called as soon as the browser is back online instead of waiting out the backoff.
+ */
+export const createLinkMonitor = () => {
+  const bus = createEventBus();
+  const channels = new Map(); // key -> { state, attempt, retryAt, retryNow }
+  let listenerCount = 0;
+
+  const isBrowserOnline = () => typeof navigator === 'undefined' || navigator.onLine;
+
+  const getStatus = () => {
+    if (!isBrowserOnline()) return { state: LINK_STATES.OFFLINE, retryAt: null, attempt: 0 };
+
+    const down = [...channels.values()].filter(c => c.state === 'down');
+    if (down.length === 0) return { state: LINK_STATES.ONLINE, retryAt: null, attempt: 0 };
+    return {
+      state: LINK_STATES.RECONNECTING,
+      retryAt: Math.min(...down.map(c => c.retryAt)),
+      attempt: Math.max(...down.map(c => c.attempt))
+    };
+  };
+
+  const publish = () => bus.emit(getStatus());
+
+  const handleOnline = () => {
+    channels.forEach(c => { if (c.state === 'down') c.retryNow?.(); });
+    publish();
+  };
+
+  return {
+    getStatus,
+
+    setChannel(key, info) {
+      channels.set(key, info);
+      publish();
+    },
+
+    removeChannel(key) {
+      channels.delete(key);
+      publish();
+    },
+
+    /**
+     * Calls the listener with the new status on every change
+     */
+    subscribe(listener) {
+      if (listenerCount++ === 0) {
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', publish);
+      }
+      const unsubscribe = bus.subscribe(listener);
+      return () => {
+        unsubscribe();
+        if (--listenerCount === 0) {
+          window.removeEventListener('online', handleOnline);
+          window.removeEventListener('offline', publish);
+        }
+      };
+    }
+  };
+};
@@ -0,0 +1,95 @@
+import { supabase } from './supabaseClient';
+
+// Public half of the VAPID key pair the push-alerts edge function signs with
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+/**
+ * Registers public/sw.js, which caches the app shell and shows push alarms.
+ * Only in production builds: in dev it would serve stale modules from its cache.
+ */
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error.message);
+    });
+  });
+};
+
+const getRegistration = async () =>
+  ('serviceWorker' in navigator ? (await navigator.serviceWorker.getRegistration()) || null : null);
+
+/**
+ * Shows a system notification if the operator has allowed them. Goes through the
+ * service worker where there is one: mobile browsers only allow notifications from it.
+ */
+export const showSystemNotification = async (title, options) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const registration = await getRegistration();
+  if (registration) {
+    await registration.showNotification(title, { icon: '/icon-192.png', ...options });
+  } else {
+    new Notification(title, options);
+  }
+};
+
+// Push needs a configured key, a service worker and the Push API (iOS: only once installed)
+export const isPushSupported = () =>
+  Boolean(VAPID_PUBLIC_KEY) && 'serviceWorker' in navigator && typeof PushManager !== 'undefined';
+
+/**
+ * VAPID keys are URL-safe base64; PushManager wants the raw bytes
+ */
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+};
+
+/**
+ * The push subscription of this browser, or null
+ */
+export const getPushSubscription = async () => {
+  const registration = await getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Subscribes this browser to alarm pushes (low battery, unit offline, failed
+ * command) and stores the subscription for the push-alerts edge function
+ */
+export const subscribeToPush = async () => {
+  try {
+    const registration = await getRegistration();
+    if (!registration) return { error: new Error('Push alerts need the installed or built app') };
+    if ((await Notification.requestPermission()) !== 'granted') {
+      return { error: new Error('Notifications are blocked by the browser') };
+    }
+
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+    });
+    const { endpoint, keys } = subscription.toJSON();
+    const { error } = await supabase
+      .from('push_subscriptions')
+      .upsert({ endpoint, keys, user_agent: navigator.userAgent }, { onConflict: 'endpoint' });
+    return { error };
+  } catch (error) {
+    return { error };
+  }
+};
+
+/**
+ * Stops alarm pushes to this browser
+ */
+export const unsubscribeFromPush = async () => {
+  try {
+    const subscription = await getPushSubscription();
+    if (!subscription) return { error: null };
+    const { error } = await supabase.from('push_subscriptions').delete().eq('endpoint', subscription.endpoint);
+    await subscription.unsubscribe();
+    return { error };
+  } catch (error) {
+    return { error };
+  }
+};
@@ -0,0 +1,33 @@
+import { supabase } from './supabaseClient';
+
+// Supabase caps a single select at 1000 rows, so longer ranges are fetched in pages
+const PAGE_SIZE = 1000;
+// Safety cap so a huge custom range cannot exhaust the browser
+export const MAX_RANGE_ROWS = 100000;
+
+/**
+ * Fetches every row of a table created by one unit between two dates, oldest first.
+ * Stops at MAX_RANGE_ROWS and sets truncated so callers can say the range was cut short.
+ */
+export const fetchRowsInRange = async (table, columns, deviceId, from, to) => {
+  const rows = [];
+
+  for (;;) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .eq('device_id', deviceId)
+      .gte('created_at', from.toISOString())
+      .lte('created_at', to.toISOString())
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }) // Rows inserted in one batch share a timestamp; keep pages from overlapping
+      .range(rows.length, rows.length + PAGE_SIZE - 1);
+
+    if (error) return { rows, truncated: false, error };
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+    if (rows.length >= MAX_RANGE_ROWS) return { rows, truncated: true, error: null };
+  }
+
+  return { rows, truncated: false, error: null };
+};
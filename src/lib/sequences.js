@@ -0,0 +1,165 @@
+import { supabase } from './supabaseClient';
+import { COMMAND_STATUS, isTerminalStatus } from './commands';
+import { waitForEvent } from './eventBus';
+
+// Command types a sequence step may send
+export const SEQUENCE_COMMANDS = ['GRIP', 'RELEASE', 'STEP_GRIP', 'STEP_RELEASE', 'RESET'];
+
+// Telemetry fields a conditional step may wait on
+export const CONDITION_FIELDS = ['fsr_value', 'motor_current', 'battery_pct', 'temperature', 'humidity', 'jaw_position'];
+
+const CONDITION_OPERATORS = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b
+};
+
+export const CONDITION_OPERATOR_KEYS = Object.keys(CONDITION_OPERATORS);
+
+// Granularity of waits, so pausing and aborting respond quickly
+const TICK_MS = 100;
+
+/**
+ * Creates a new step of the given kind with sensible defaults
+ */
+export const createStep = (kind, type = 'GRIP') => {
+  if (kind === 'wait') return { kind, ms: 1000 };
+  if (kind === 'until') return { kind, field: 'fsr_value', operator: '>=', value: 60, timeoutMs: 10000 };
+  return { kind: 'command', type };
+};
+
+/**
+ * One-line description of a step, e.g. "WAIT UNTIL fsr_value >= 60"
+ */
+export const describeStep = (step) => {
+  if (step.kind === 'wait') return `WAIT ${step.ms / 1000}s`;
+  if (step.kind === 'until') return `WAIT UNTIL ${step.field} ${step.operator} ${step.value} (max ${step.timeoutMs / 1000}s)`;
+  return step.type;
+};
+
+/**
+ * Lists saved sequences, most recently edited first
+ */
+export const fetchSequences = async () => {
+  const { data, error } = await supabase
+    .from('sequences')
+    .select('id, name, steps, updated_at')
+    .order('updated_at', { ascending: false });
+
+  return { sequences: data || [], error };
+};
+
+/**
+ * Inserts a new sequence or updates an existing one, returning the stored row
+ */
+export const saveSequence = async ({ id, name, steps }) => {
+  const row = { name, steps, updated_at: new Date().toISOString() };
+  const query = id
+    ? supabase.from('sequences').update(row).eq('id', id)
+    : supabase.from('sequences').insert([row]);
+
+  const { data, error } = await query.select().single();
+  return { sequence: data, error };
+};
+
+export const deleteSequence = async (id) => {
+  const { error } = await supabase.from('sequences').delete().eq('id', id);
+  return error;
+};
+
+/**
+ * Prepares a run of a sequence. Each command step waits for its EXECUTED
+ * acknowledgement (published on commandBus) before the next step starts.
+ * If the run ends while a command may still be queued or running, the motor
+ * is stopped before the run reports its end.
+ * Call start() to run; pause(), resume() and abort() control it.
+ *
+ * deps: { sendCommand(type) -> inserted row | null, stopMotion() -> Promise,
+ *         commandBus, telemetryBus, onProgress(partialProgress) }
+ */
+export const createSequenceRun = (steps, { sendCommand, stopMotion, commandBus, telemetryBus, onProgress }) => {
+  const controller = new AbortController();
+  const { signal } = controller;
+  let isPaused = false;
+  let commandInFlight = false; // A command step sent but not yet finished on the gripper
+
+  // Sleeps for ms of *unpaused* time
+  const sleep = async (ms) => {
+    let remaining = ms;
+    while (remaining > 0) {
+      if (signal.aborted) throw new Error('Sequence aborted');
+      await new Promise(resolve => setTimeout(resolve, TICK_MS));
+      if (!isPaused) remaining -= TICK_MS;
+    }
+  };
+
+  const waitWhilePaused = async () => {
+    while (isPaused && !signal.aborted) await new Promise(resolve => setTimeout(resolve, TICK_MS));
+    if (signal.aborted) throw new Error('Sequence aborted');
+  };
+
+  const runStep = async (step) => {
+    if (step.kind === 'wait') {
+      await sleep(step.ms);
+      return;
+    }
+
+    if (step.kind === 'until') {
+      const matches = CONDITION_OPERATORS[step.operator];
+      await waitForEvent(
+        telemetryBus,
+        row => row[step.field] !== null && row[step.field] !== undefined && matches(row[step.field], step.value),
+        signal,
+        step.timeoutMs,
+        `Condition ${step.field} ${step.operator} ${step.value} not met within ${step.timeoutMs / 1000}s`
+      );
+      return;
+    }
+
+    commandInFlight = true;
+    const row = await sendCommand(step.type);
+    if (!row) {
+      commandInFlight = false;
+      throw new Error(`${step.type} could not be sent`);
+    }
+    const update = await waitForEvent(commandBus, u => u.id === row.id && isTerminalStatus(u.status), signal);
+    commandInFlight = false;
+    if (update.status !== COMMAND_STATUS.EXECUTED) throw new Error(`${step.type} ended ${update.status}`);
+  };
+
+  return {
+    async start({ repeat = 1, startAt = null } = {}) {
+      try {
+        if (startAt) {
+          onProgress({ state: 'scheduled', stepIndex: -1, iteration: 0 });
+          await sleep(Math.max(0, startAt.getTime() - Date.now()));
+        }
+
+        for (let iteration = 0; iteration < repeat; iteration++) {
+          for (let stepIndex = 0; stepIndex < steps.length; stepIndex++) {
+            await waitWhilePaused();
+            onProgress({ state: 'running', stepIndex, iteration });
+            await runStep(steps[stepIndex]);
+          }
+        }
+        onProgress({ state: 'done', stepIndex: steps.length, iteration: repeat - 1 });
+      } catch (error) {
+        if (commandInFlight) await stopMotion();
+        onProgress({ state: signal.aborted ? 'aborted' : 'failed', message: error.message });
+      }
+    },
+    pause() {
+      isPaused = true;
+      onProgress({ state: 'paused' });
+    },
+    resume() {
+      isPaused = false;
+      onProgress({ state: 'running' });
+    },
+    abort() {
+      isPaused = false;
+      controller.abort(new Error('Sequence aborted'));
+    }
+  };
+};
@@ -0,0 +1,49 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from './eventBus';
+import { COMMAND_STATUS } from './commands';
+import { createStep, createSequenceRun } from './sequences';
+
+/**
+ * A sequence run wired to in-memory buses; sent commands get ids 1, 2, ...
+ */
+const setUp = (steps) => {
+  const commandBus = createEventBus();
+  const progress = [];
+  let nextId = 1;
+  const deps = {
+    sendCommand: vi.fn(async (type) => ({ id: nextId++, type })),
+    stopMotion: vi.fn(async () => []),
+    commandBus,
+    telemetryBus: createEventBus(),
+    onProgress: (update) => progress.push(update)
+  };
+  const run = createSequenceRun(steps, deps);
+  const started = run.start();
+  return { run, started, deps, commandBus, progress };
+};
+
+describe('createSequenceRun', () => {
+  it('stops the motor when aborted while a command step is in flight', async () => {
+    const { run, started, deps, progress } = setUp([createStep('command', 'GRIP')]);
+
+    await vi.waitFor(() => expect(deps.sendCommand).toHaveBeenCalledWith('GRIP'));
+    run.abort();
+    await started;
+
+    expect(deps.stopMotion).toHaveBeenCalledTimes(1);
+    expect(progress.at(-1)).toMatchObject({ state: 'aborted' });
+  });
+
+  it('does not send a stop when aborted during a wait', async () => {
+    const { run, started, deps, commandBus, progress } = setUp([createStep('command', 'GRIP'), createStep('wait')]);
+
+    await vi.waitFor(() => expect(deps.sendCommand).toHaveBeenCalledTimes(1));
+    commandBus.emit({ id: 1, status: COMMAND_STATUS.EXECUTED });
+    await vi.waitFor(() => expect(progress.at(-1)).toMatchObject({ state: 'running', stepIndex: 1 }));
+    run.abort();
+    await started;
+
+    expect(deps.stopMotion).not.toHaveBeenCalled();
+    expect(progress.at(-1)).toMatchObject({ state: 'aborted' });
+  });
+});
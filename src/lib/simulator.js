@@ -0,0 +1,255 @@
+import { COMMAND_STATUS } from './commands';
+import { DEFAULT_GRIPPER_PARAMS } from './gripperParams';
+
+// Physics step of the simulated gripper
+const PHYSICS_MS = 50;
+// Telemetry rate, and the pause between command polls like the firmware's delay(1000)
+const TELEMETRY_MS = 1000;
+const LOOP_DELAY_MS = 1000;
+// Jaw travel per second at full duty cycle, in % of the stroke
+const FULL_SPEED_TRAVEL_PER_S = 120;
+// Jaw position at which the fingers touch the simulated object, and how hard it pushes back
+const CONTACT_AT_PCT = 55;
+const FSR_PER_PCT_SQUEEZE = 6;
+
+/**
+ * Motor run parameters per command, as in the firmware's executeCommand()
+ */
+const MOTION = {
+  GRIP: { closing: true, durationMs: 2000 },
+  RELEASE: { closing: false, durationMs: 2000 },
+  STEP_GRIP: { closing: true, durationMs: 250 },
+  STEP_RELEASE: { closing: false, durationMs: 250 }
+};
+
+const jitter = (amount) => (Math.random() - 0.5) * 2 * amount;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Motor duty cycle for a speed setting, like map(speed, 0, 100, 80, 255) in the firmware
+ */
+const speedToDuty = (speed) => (80 + (175 * speed) / 100) / 255;
+
+/**
+ * Reads {"torque", "speed"} from a command value like the firmware's parseParams()
+ */
+const parseParams = (value, defaults) => {
+  try {
+    const params = typeof value === 'string' ? JSON.parse(value) : value;
+    return {
+      torque: clamp(Number(params?.torque ?? defaults.torque), 0, 100),
+      speed: clamp(Number(params?.speed ?? defaults.speed), 0, 100)
+    };
+  } catch {
+    return defaults;
+  }
+};
+
+/**
+ * In-browser stand-in for the ESP32 firmware. Picks up queued commands one per
+ * loop (highest priority, newest first, like the firmware's query), drives a
+ * simple jaw model with FSR contact and motor current, and reports command
+ * status and 1 Hz telemetry through the callbacks. Unlike the firmware,
+ * telemetry keeps flowing while the motor runs, so current spikes show up.
+ */
+export const createSimulatedGripper = (deviceId, { onTelemetry, onCommandStatus }) => {
+  const state = {
+    jaw: 0,            // % closed
+    fsr: 0,            // % grip pressure
+    current: 0.05,     // A
+    battery: 100,      // %
+    temperature: 26,   // °C
+    humidity: 55,      // %
+    estopLatched: false,
+    params: { ...DEFAULT_GRIPPER_PARAMS }
+  };
+  let motor = null;    // { closing, speed, torque, remainingMs, inrushMs, done, ...run measurements } while running
+  let queue = [];      // Commands still PENDING, as rows
+  let activeCommand = null; // Command being executed
+  const statuses = new Map(); // id -> last status, so finished commands are never overwritten
+  let physicsTimer = null;
+  let telemetryTimer = null;
+  let loopTimer = null;
+
+  /**
+   * Reports a status change, only for commands still in flight (the firmware's status=in.(PENDING,ACKED) guard).
+   * EXECUTED motion carries the run measurements, like the firmware's PATCH.
+   */
+  const acknowledge = (command, status, run = {}) => {
+    const current = statuses.get(command.id);
+    if (current !== COMMAND_STATUS.PENDING && current !== COMMAND_STATUS.ACKED) return;
+    statuses.set(command.id, status);
+    const now = new Date().toISOString();
+    onCommandStatus({
+      ...command,
+      ...run,
+      status,
+      acked_at: status === COMMAND_STATUS.ACKED ? now : command.acked_at || null,
+      completed_at: status === COMMAND_STATUS.ACKED ? null : now
+    });
+  };
+
+  const stopMotor = () => {
+    if (!motor) return;
+    const { done, runMs, peakCurrent, currentSum, samples, peakFsr } = motor;
+    motor = null;
+    done({
+      run_ms: Math.round(runMs),
+      peak_current: Number(peakCurrent.toFixed(2)),
+      mean_current: samples ? Number((currentSum / samples).toFixed(2)) : 0,
+      peak_fsr: Math.round(peakFsr)
+    });
+  };
+
+  /**
+   * Runs the motor until it stops and resolves with the run measurements
+   */
+  const runMotor = (closing, speed, torque, durationMs) => new Promise((done) => {
+    motor = { closing, speed, torque, remainingMs: durationMs, inrushMs: 150, done, runMs: 0, peakCurrent: 0, currentSum: 0, samples: 0, peakFsr: 0 };
+  });
+
+  /**
+   * Advances the jaw, FSR, current and battery by one physics step
+   */
+  const advance = (dtMs) => {
+    if (motor) {
+      const duty = speedToDuty(motor.speed);
+      const travel = FULL_SPEED_TRAVEL_PER_S * duty * (dtMs / 1000);
+      // The closing jaw slows down as the object pushes back
+      const resistance = motor.closing ? 1 - state.fsr / 150 : 1;
+      state.jaw = clamp(state.jaw + (motor.closing ? travel * resistance : -travel), 0, 100);
+      motor.remainingMs -= dtMs;
+      motor.inrushMs -= dtMs;
+    }
+
+    const squeeze = Math.max(0, state.jaw - CONTACT_AT_PCT);
+    state.fsr = clamp(squeeze * FSR_PER_PCT_SQUEEZE, 0, 100);
+
+    // Idle draw, plus running current that climbs with load and a start-up spike
+    let current = 0.05;
+    if (motor) {
+      current += 0.35 * speedToDuty(motor.speed) + (state.fsr / 100) * 1.1;
+      if (motor.inrushMs > 0) current += 0.8;
+    }
+    state.current = current;
+    state.battery = Math.max(0, state.battery - (0.002 + current * 0.004) * (dtMs / 1000));
+    state.temperature = 26 + state.current * 2;
+
+    if (!motor) return;
+    motor.runMs += dtMs;
+    motor.peakCurrent = Math.max(motor.peakCurrent, current);
+    motor.currentSum += current;
+    motor.samples += 1;
+    motor.peakFsr = Math.max(motor.peakFsr, state.fsr);
+    const reachedTorque = motor.closing && state.fsr >= motor.torque;
+    const hitEndStop = motor.closing ? state.jaw >= 100 : state.jaw <= 0;
+    if (reachedTorque || hitEndStop || motor.remainingMs <= 0) stopMotor();
+  };
+
+  const executeCommand = async (command) => {
+    const { torque, speed } = parseParams(command.value, state.params);
+    let run = {};
+
+    if (command.type === 'ESTOP') {
+      stopMotor();
+      state.estopLatched = true;
+    } else if (command.type === 'STOP') {
+      stopMotor();
+    } else if (command.type === 'REARM') {
+      state.estopLatched = false;
+    } else if (state.estopLatched) {
+      acknowledge(command, COMMAND_STATUS.CANCELLED); // Motion refused while latched
+      return;
+    } else if (command.type === 'SET_PARAMS') {
+      state.params = { torque, speed };
+    } else if (MOTION[command.type]) {
+      const { closing, durationMs } = MOTION[command.type];
+      run = await runMotor(closing, speed, closing ? torque : 100, durationMs);
+    } else if (command.type === 'RESET') {
+      run = await runMotor(false, speed, 100, 3000); // Recalibrate against the open limit switch
+    } else {
+      acknowledge(command, COMMAND_STATUS.FAILED);
+      return;
+    }
+
+    acknowledge(command, COMMAND_STATUS.EXECUTED, run);
+  };
+
+  const readTelemetry = () => ({
+    id: crypto.randomUUID(),
+    device_id: deviceId,
+    created_at: new Date().toISOString(),
+    fsr_value: Math.round(clamp(state.fsr + jitter(state.fsr > 0 ? 1.5 : 0), 0, 100)),
+    motor_current: Number(Math.max(0, state.current + jitter(0.02)).toFixed(2)),
+    temperature: Number((state.temperature + jitter(0.2)).toFixed(1)),
+    humidity: Number((state.humidity + jitter(0.5)).toFixed(1)),
+    battery_pct: Math.round(state.battery),
+    jaw_position: Math.round(state.jaw),
+    limit_open: state.jaw <= 0,
+    limit_closed: state.jaw >= 100
+  });
+
+  /**
+   * One pass of the firmware loop: run the most urgent command, then wait
+   */
+  const loop = async () => {
+    const [next] = [...queue].sort((a, b) =>
+      (b.priority || 0) - (a.priority || 0) || new Date(b.created_at) - new Date(a.created_at));
+    if (next) {
+      queue = queue.filter(c => c.id !== next.id);
+      activeCommand = next;
+      acknowledge(next, COMMAND_STATUS.ACKED);
+      await executeCommand(next);
+      activeCommand = null;
+    }
+
+    if (physicsTimer) loopTimer = setTimeout(loop, LOOP_DELAY_MS);
+  };
+
+  return {
+    start() {
+      if (physicsTimer) return;
+      physicsTimer = setInterval(() => advance(PHYSICS_MS), PHYSICS_MS);
+      telemetryTimer = setInterval(() => onTelemetry(readTelemetry()), TELEMETRY_MS);
+      onTelemetry(readTelemetry());
+      loop();
+    },
+
+    stop() {
+      clearInterval(physicsTimer);
+      clearInterval(telemetryTimer);
+      clearTimeout(loopTimer);
+      physicsTimer = null;
+      stopMotor();
+    },
+
+    /**
+     * Queues a PENDING command row for the next loop
+     */
+    enqueue(command) {
+      statuses.set(command.id, COMMAND_STATUS.PENDING);
+      queue.push(command);
+    },
+
+    /**
+     * Applies a status set by the dashboard (TIMED_OUT, CANCELLED). A queued command
+     * is dropped; one already running finishes, but can no longer report EXECUTED.
+     */
+    setStatus(id, status) {
+      const current = statuses.get(id);
+      if (current !== COMMAND_STATUS.PENDING && current !== COMMAND_STATUS.ACKED) return null;
+      const command = queue.find(c => c.id === id) || (activeCommand?.id === id ? activeCommand : { id });
+      queue = queue.filter(c => c.id !== id);
+      statuses.set(id, status);
+      return command;
+    },
+
+    /**
+     * Commands still waiting in the queue
+     */
+    pendingCommands: () => [...queue],
+
+    getState: () => ({ ...state, isMoving: Boolean(motor) })
+  };
+};
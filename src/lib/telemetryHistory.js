@@ -0,0 +1,140 @@
+import { supabase } from './supabaseClient';
+import { fetchRowsInRange } from './rangeQuery';
+
+// Sensor columns of the 'telemetry' table shown in the history explorer
+export const TELEMETRY_FIELDS = [
+  { key: 'fsr_value', label: 'Grip Force', unit: '%', color: '#3b82f6' },
+  { key: 'motor_current', label: 'Motor Current', unit: 'A', color: '#10b981' },
+  { key: 'temperature', label: 'Temperature', unit: '°C', color: '#fb923c' },
+  { key: 'humidity', label: 'Humidity', unit: '%', color: '#60a5fa' },
+  { key: 'battery_pct', label: 'Battery', unit: '%', color: '#4ade80' },
+  { key: 'jaw_position', label: 'Jaw Position', unit: '%', color: '#a78bfa' }
+];
+
+// Preset ranges offered in the history explorer
+export const HISTORY_RANGES = [
+  { key: '15m', label: '15 MIN', ms: 15 * 60 * 1000 },
+  { key: '1h', label: '1 H', ms: 60 * 60 * 1000 },
+  { key: '24h', label: '24 H', ms: 24 * 60 * 60 * 1000 }
+];
+
+// Number of points kept in the live Force-Sense chart
+export const LIVE_CHART_POINTS = 20;
+
+const TELEMETRY_COLUMNS = 'id, created_at, fsr_value, motor_current, temperature, humidity, battery_pct, jaw_position, limit_open, limit_closed';
+
+/**
+ * Fetches every telemetry row of a unit between two dates, oldest first
+ */
+export const fetchTelemetryRange = (deviceId, from, to) =>
+  fetchRowsInRange('telemetry', TELEMETRY_COLUMNS, deviceId, from, to);
+
+/**
+ * Fetches the most recent telemetry rows of a unit, oldest first
+ */
+export const fetchRecentTelemetry = async (deviceId, limit) => {
+  const { data, error } = await supabase
+    .from('telemetry')
+    .select(TELEMETRY_COLUMNS)
+    .eq('device_id', deviceId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  return { rows: (data || []).reverse(), error };
+};
+
+/**
+ * Fetches the newest telemetry rows a unit posted after a timestamp, oldest first.
+ * Used to backfill the gap after the realtime channel was down: only the end of a
+ * long gap fits in the live chart, so the rows are taken from the newest backwards.
+ */
+export const fetchTelemetrySince = async (deviceId, since, limit) => {
+  const { data, error } = await supabase
+    .from('telemetry')
+    .select(TELEMETRY_COLUMNS)
+    .eq('device_id', deviceId)
+    .gt('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  return { rows: (data || []).reverse(), error };
+};
+
+/**
+ * Maps a telemetry row to a point of the live Force-Sense chart
+ */
+export const toLiveChartPoint = (row) => {
+  const at = new Date(row.created_at || Date.now());
+  return {
+    id: row.id,
+    at: at.getTime(),
+    time: at.toLocaleTimeString(),
+    fsr: row.fsr_value,
+    current: row.motor_current
+  };
+};
+
+/**
+ * Adds telemetry rows to the live chart, skipping rows already shown. Points are
+ * kept in created_at order, as seeded and backfilled rows can arrive after newer
+ * live ones, and only the newest LIVE_CHART_POINTS are kept.
+ */
+export const mergeLiveChartPoints = (points, rows) => {
+  const shownIds = new Set(points.map(point => point.id));
+  const added = rows.filter(row => !shownIds.has(row.id)).map(toLiveChartPoint);
+  return [...points, ...added].sort((a, b) => a.at - b.at).slice(-LIVE_CHART_POINTS);
+};
+
+/**
+ * Reduces rows to at most maxPoints time buckets. Each bucket keeps the average
+ * of every field plus a [min, max] range so short spikes stay visible.
+ */
+export const downsampleTelemetry = (rows, maxPoints) => {
+  if (rows.length === 0) return [];
+
+  const start = new Date(rows[0].created_at).getTime();
+  const end = new Date(rows[rows.length - 1].created_at).getTime();
+  const bucketMs = rows.length > maxPoints ? Math.max(1, (end - start) / maxPoints) : 0;
+
+  const buckets = [];
+  rows.forEach(row => {
+    const time = new Date(row.created_at).getTime();
+    const index = bucketMs ? Math.min(maxPoints - 1, Math.floor((time - start) / bucketMs)) : buckets.length;
+    if (!buckets[index]) buckets[index] = [];
+    buckets[index].push({ ...row, time });
+  });
+
+  return buckets.filter(Boolean).map(bucket => {
+    const point = { time: bucket[0].time, count: bucket.length };
+    TELEMETRY_FIELDS.forEach(({ key }) => {
+      const values = bucket.map(row => row[key]).filter(v => v !== null && v !== undefined);
+      if (values.length === 0) return;
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      point[key] = Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2));
+      point[`${key}_range`] = [min, max];
+    });
+    return point;
+  });
+};
+
+/**
+ * Min/avg/max of one field over a set of rows (looped, as ranges can hold 100k rows)
+ */
+export const summarizeField = (rows, key) => {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+
+  rows.forEach(row => {
+    const value = row[key];
+    if (value === null || value === undefined) return;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    sum += value;
+    count++;
+  });
+
+  return count > 0 ? { min, max, avg: sum / count } : null;
+};
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { LIVE_CHART_POINTS, mergeLiveChartPoints } from './telemetryHistory';
+
+const row = (id, second) => ({ id, created_at: `2026-10-18T12:00:${String(second).padStart(2, '0')}Z`, fsr_value: id, motor_current: 0 });
+
+describe('mergeLiveChartPoints', () => {
+  it('orders backfilled rows before the live rows that overtook them', () => {
+    const live = mergeLiveChartPoints([], [row(10, 50), row(11, 51)]);
+    const merged = mergeLiveChartPoints(live, [row(3, 20), row(4, 21)]);
+
+    expect(merged.map(point => point.id)).toEqual([3, 4, 10, 11]);
+  });
+
+  it('skips rows already shown and keeps only the newest points', () => {
+    const full = mergeLiveChartPoints([], Array.from({ length: LIVE_CHART_POINTS }, (_, i) => row(i + 1, i + 1)));
+    const merged = mergeLiveChartPoints(full, [row(LIVE_CHART_POINTS, LIVE_CHART_POINTS), row(0, 0), row(99, 59)]);
+
+    expect(merged).toHaveLength(LIVE_CHART_POINTS);
+    expect(merged[0].id).toBe(2);
+    expect(merged.at(-1).id).toBe(99);
+  });
+});
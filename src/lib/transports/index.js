@@ -0,0 +1,45 @@
+import { createSupabaseTransport } from './supabaseTransport';
+import { createLocalTransport } from './localTransport';
+import { createSimulatorTransport } from './simulatorTransport';
+
+export const TRANSPORT_KINDS = [
+  { key: 'supabase', label: 'Supabase (cloud)' },
+  { key: 'local', label: 'Local network (WebSocket)' },
+  { key: 'simulator', label: 'Simulator (no hardware)' }
+];
+
+export const DEFAULT_TRANSPORT_CONFIG = { kind: 'supabase', url: 'ws://192.168.4.1:8080' };
+
+// VITE_SIMULATOR=true runs every browser against the simulator, e.g. for demos and automated tests
+export const IS_SIMULATOR_FORCED = import.meta.env.VITE_SIMULATOR === 'true';
+
+/**
+ * Reads the transport chosen in Settings; this browser keeps it across reloads
+ */
+export const loadTransportConfig = () => {
+  let config = DEFAULT_TRANSPORT_CONFIG;
+  try {
+    config = { ...DEFAULT_TRANSPORT_CONFIG, ...JSON.parse(localStorage.getItem('transportConfig')) };
+  } catch {
+    // Keep the default when the stored value is unreadable
+  }
+  return IS_SIMULATOR_FORCED ? { ...config, kind: 'simulator' } : config;
+};
+
+export const saveTransportConfig = (config) => {
+  localStorage.setItem('transportConfig', JSON.stringify(config));
+};
+
+/**
+ * Builds the transport the dashboard talks to the gripper through.
+ * Every implementation exposes the same methods:
+ *   subscribeTelemetry / subscribeCommandUpdates / subscribeEstop -> unsubscribe()
+ *   getLinkStatus, subscribeLinkStatus (health of the dashboard's own link, see linkMonitor)
+ *   fetchLastSeen, fetchRecentTelemetry, fetchEstopState
+ *   sendCommand, expireCommand, cancelCommands, triggerEstop, rearmEstop, stopMotion
+ */
+export const createTransport = (config) => {
+  if (config.kind === 'local') return createLocalTransport(config);
+  if (config.kind === 'simulator') return createSimulatorTransport();
+  return createSupabaseTransport();
+};
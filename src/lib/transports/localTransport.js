@@ -0,0 +1,241 @@
+import { COMMAND_STATUS } from '../commands';
+import { ESTOP_PRIORITY, toEstopState } from '../estop';
+import { getDashboardSessionId } from '../audit';
+import { createLinkMonitor, backoffDelay } from '../linkMonitor';
+
+// Telemetry rows kept per unit to seed the live chart, since a LAN broker stores no history
+const RECENT_ROWS_KEPT = 50;
+
+/**
+ * Topic names on the LAN broker. The unit side publishes telemetry and command
+ * status, the dashboard publishes commands and the retained e-stop state.
+ *
+ * firmware/esp32_gripper.ino only speaks the Supabase REST API; it has no WebSocket
+ * or MQTT client. scripts/lan-bridge.js answers those REST calls on the LAN and relays
+ * them on these topics through scripts/mock-broker.js.
+ */
+export const localTopics = (deviceId) => ({
+  telemetry: `gripper/${deviceId}/telemetry`,
+  commands: `gripper/${deviceId}/commands`,
+  commandStatus: `gripper/${deviceId}/commands/status`,
+  estop: `gripper/${deviceId}/estop`
+});
+
+/**
+ * LAN transport: talks to a broker or the unit itself over a plain WebSocket
+ * using MQTT-style topics. Frames are JSON:
+ *   client -> broker  { op: 'subscribe' | 'unsubscribe', topic }
+ *                     { op: 'publish', topic, payload, retain }
+ *   broker -> client  { op: 'message', topic, payload }
+ * The broker replays retained messages on subscribe (see scripts/mock-broker.js).
+ */
+export const createLocalTransport = ({ url }) => {
+  let socket = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  const link = createLinkMonitor();
+  const listeners = new Map();  // topic -> Set of callbacks
+  const retained = new Map();   // topic -> last payload seen
+  const recentRows = new Map(); // deviceId -> latest telemetry rows, oldest first
+
+  const isOpen = () => socket?.readyState === WebSocket.OPEN;
+
+  const sendFrame = (frame) => {
+    if (!isOpen()) return new Error(`Local link to ${url} is not connected`);
+    socket.send(JSON.stringify(frame));
+    return null;
+  };
+
+  const connect = () => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (socket || listeners.size === 0) return;
+    const current = new WebSocket(url);
+    socket = current;
+    if (attempt === 0) link.setChannel('socket', { state: 'connecting' }); // A retry stays 'down' until open
+
+    current.addEventListener('open', () => {
+      attempt = 0;
+      link.setChannel('socket', { state: 'up' });
+      listeners.forEach((_, topic) => sendFrame({ op: 'subscribe', topic }));
+    });
+
+    current.addEventListener('message', (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch {
+        return; // Ignore anything that is not one of our JSON frames
+      }
+      if (frame.op !== 'message') return;
+      retained.set(frame.topic, frame.payload);
+      listeners.get(frame.topic)?.forEach(listener => listener(frame.payload));
+    });
+
+    // Every error is followed by 'close', which handles the reconnect
+    current.addEventListener('error', () => {});
+
+    // Keep retrying with backoff while anything is subscribed; the link banner shows the outage
+    current.addEventListener('close', () => {
+      if (socket !== current) return; // Closed on purpose after the last listener left
+      socket = null;
+      const delay = backoffDelay(attempt);
+      attempt += 1;
+      reconnectTimer = setTimeout(connect, delay);
+      link.setChannel('socket', { state: 'down', attempt, retryAt: Date.now() + delay, retryNow: connect });
+    });
+  };
+
+  /**
+   * Adds a listener for a topic, opening the socket on first use.
+   * The socket is closed again once the last listener is gone.
+   */
+  const subscribe = (topic, listener) => {
+    if (!listeners.has(topic)) {
+      listeners.set(topic, new Set());
+      sendFrame({ op: 'subscribe', topic });
+    }
+    listeners.get(topic).add(listener);
+    connect();
+
+    return () => {
+      const topicListeners = listeners.get(topic);
+      topicListeners?.delete(listener);
+      if (topicListeners?.size === 0) {
+        listeners.delete(topic);
+        sendFrame({ op: 'unsubscribe', topic });
+      }
+      if (listeners.size === 0) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        const current = socket;
+        socket = null;
+        current?.close();
+        link.removeChannel('socket');
+      }
+    };
+  };
+
+  const publish = (topic, payload, retain = false) => sendFrame({ op: 'publish', topic, payload, retain });
+
+  /**
+   * Builds a command row like the one Supabase would have stored and publishes it
+   */
+  const publishCommand = (deviceId, { type, value = null, priority = 0 }) => {
+    const row = {
+      id: crypto.randomUUID(),
+      device_id: deviceId,
+      session_id: getDashboardSessionId(),
+      type,
+      value,
+      priority,
+      status: COMMAND_STATUS.PENDING,
+      created_at: new Date().toISOString()
+    };
+    const error = publish(localTopics(deviceId).commands, row);
+    return { data: error ? null : row, error };
+  };
+
+  /**
+   * Publishes the retained e-stop state, in the column names of the system_state table
+   */
+  const publishEstop = (deviceId, active) => {
+    const topic = localTopics(deviceId).estop;
+    const now = new Date().toISOString();
+    const state = {
+      ...retained.get(topic),
+      estop_active: active,
+      ...(active ? { estop_triggered_at: now } : { estop_cleared_at: now })
+    };
+    const error = publish(topic, state, true);
+    if (!error) retained.set(topic, state);
+    return error;
+  };
+
+  return {
+    kind: 'local',
+    label: `Local (${url})`,
+    supportsHistory: false, // Nothing is stored on the LAN broker
+
+    getLinkStatus: link.getStatus,
+    subscribeLinkStatus: link.subscribe,
+
+    subscribeTelemetry(deviceId, onRow) {
+      return subscribe(localTopics(deviceId).telemetry, (row) => {
+        const timed = { ...row, created_at: row.created_at || new Date().toISOString() };
+        recentRows.set(deviceId, [...(recentRows.get(deviceId) || []), timed].slice(-RECENT_ROWS_KEPT));
+        onRow(timed, { backfill: false });
+      });
+    },
+
+    subscribeCommandUpdates(deviceId, onRow) {
+      return subscribe(localTopics(deviceId).commandStatus, onRow);
+    },
+
+    subscribeEstop(deviceId, onState) {
+      return subscribe(localTopics(deviceId).estop, (row) => onState(toEstopState(row)));
+    },
+
+    async fetchLastSeen(deviceId) {
+      const rows = recentRows.get(deviceId);
+      return { lastSeen: rows?.length ? new Date(rows[rows.length - 1].created_at).getTime() : null, error: null };
+    },
+
+    async fetchRecentTelemetry(deviceId, limit) {
+      return { rows: (recentRows.get(deviceId) || []).slice(-limit), error: null };
+    },
+
+    async fetchEstopState(deviceId) {
+      return { state: toEstopState(retained.get(localTopics(deviceId).estop)), error: null };
+    },
+
+    async sendCommand(deviceId, command) {
+      return publishCommand(deviceId, command);
+    },
+
+    /**
+     * Publishes the TIMED_OUT status. scripts/lan-bridge.js then drops the command, so the
+     * unit neither picks it up nor reports it EXECUTED, like the Supabase status filter.
+     */
+    async expireCommand(deviceId, id) {
+      return publish(localTopics(deviceId).commandStatus, { id, device_id: deviceId, status: COMMAND_STATUS.TIMED_OUT });
+    },
+
+    /**
+     * Publishes the CANCELLED status of each command; as with TIMED_OUT, the bridge drops them
+     */
+    async cancelCommands(deviceId, ids) {
+      const errors = ids
+        .map(id => publish(localTopics(deviceId).commandStatus, { id, device_id: deviceId, status: COMMAND_STATUS.CANCELLED }))
+        .filter(Boolean);
+      return errors[0] || null;
+    },
+
+    /**
+     * Sends the top-priority ESTOP and latches the retained state. There is no shared
+     * queue to cancel on the LAN: the bridge discards the unit's queued commands
+     * when it relays the ESTOP.
+     */
+    async triggerEstop(deviceId) {
+      const { error: stopError } = publishCommand(deviceId, { type: 'ESTOP', priority: ESTOP_PRIORITY });
+      const latchError = publishEstop(deviceId, true);
+      return [stopError, latchError].filter(Boolean);
+    },
+
+    async rearmEstop(deviceId) {
+      const unlatchError = publishEstop(deviceId, false);
+      if (unlatchError) return [unlatchError];
+
+      const { error: rearmError } = publishCommand(deviceId, { type: 'REARM', priority: ESTOP_PRIORITY });
+      return rearmError ? [rearmError] : [];
+    },
+
+    /**
+     * Sends the top-priority STOP; like the ESTOP, the bridge discards the queued motion
+     */
+    async stopMotion(deviceId) {
+      const { error } = publishCommand(deviceId, { type: 'STOP', priority: ESTOP_PRIORITY });
+      return error ? [error] : [];
+    }
+  };
+};
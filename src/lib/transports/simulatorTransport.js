@@ -0,0 +1,165 @@
+import { COMMAND_STATUS, MOTION_COMMANDS } from '../commands';
+import { ESTOP_PRIORITY, toEstopState } from '../estop';
+import { getDashboardSessionId } from '../audit';
+import { createEventBus } from '../eventBus';
+import { LINK_STATES } from '../linkMonitor';
+import { createSimulatedGripper } from '../simulator';
+
+// Telemetry rows kept per unit to seed the live chart
+const RECENT_ROWS_KEPT = 50;
+
+const ONLINE = { state: LINK_STATES.ONLINE, retryAt: null, attempt: 0 };
+
+/**
+ * Development transport: every unit is emulated in the browser by a simulated
+ * gripper (see lib/simulator), so the dashboard runs without hardware. The
+ * simulation of a unit runs while a dashboard is subscribed to it.
+ */
+export const createSimulatorTransport = () => {
+  const units = new Map(); // deviceId -> { gripper, telemetry, commands, estop, estopRow, recentRows, subscribers }
+
+  const getUnit = (deviceId) => {
+    if (!units.has(deviceId)) {
+      const unit = {
+        telemetry: createEventBus(),
+        commands: createEventBus(),
+        estop: createEventBus(),
+        estopRow: { estop_active: false, estop_triggered_at: null, estop_cleared_at: null },
+        recentRows: [],
+        subscribers: 0
+      };
+      unit.gripper = createSimulatedGripper(deviceId, {
+        onTelemetry: (row) => {
+          unit.recentRows = [...unit.recentRows, row].slice(-RECENT_ROWS_KEPT);
+          unit.telemetry.emit(row);
+        },
+        onCommandStatus: (row) => unit.commands.emit(row)
+      });
+      units.set(deviceId, unit);
+    }
+    return units.get(deviceId);
+  };
+
+  /**
+   * Subscribes to one of a unit's buses and keeps its simulation running meanwhile
+   */
+  const subscribe = (deviceId, busKey, listener) => {
+    const unit = getUnit(deviceId);
+    const unsubscribe = unit[busKey].subscribe(listener);
+    if (unit.subscribers++ === 0) unit.gripper.start();
+
+    return () => {
+      unsubscribe();
+      if (--unit.subscribers === 0) unit.gripper.stop();
+    };
+  };
+
+  const enqueueCommand = (deviceId, { type, value = null, priority = 0 }) => {
+    const row = {
+      id: crypto.randomUUID(),
+      device_id: deviceId,
+      session_id: getDashboardSessionId(),
+      type,
+      value,
+      priority,
+      status: COMMAND_STATUS.PENDING,
+      created_at: new Date().toISOString()
+    };
+    getUnit(deviceId).gripper.enqueue(row);
+    return row;
+  };
+
+  /**
+   * Applies a status set by the dashboard and broadcasts it like a Supabase UPDATE
+   */
+  const setCommandStatus = (deviceId, id, status) => {
+    const unit = getUnit(deviceId);
+    const command = unit.gripper.setStatus(id, status);
+    if (command) unit.commands.emit({ ...command, status, completed_at: new Date().toISOString() });
+  };
+
+  const setEstop = (deviceId, changes) => {
+    const unit = getUnit(deviceId);
+    unit.estopRow = { ...unit.estopRow, ...changes };
+    unit.estop.emit(toEstopState(unit.estopRow));
+  };
+
+  return {
+    kind: 'simulator',
+    label: 'Simulator',
+    supportsHistory: false, // Simulated telemetry is never stored
+
+    getLinkStatus: () => ONLINE,
+    subscribeLinkStatus: () => () => {},
+
+    subscribeTelemetry(deviceId, onRow) {
+      return subscribe(deviceId, 'telemetry', (row) => onRow(row, { backfill: false }));
+    },
+
+    subscribeCommandUpdates(deviceId, onRow) {
+      return subscribe(deviceId, 'commands', onRow);
+    },
+
+    subscribeEstop(deviceId, onState) {
+      return subscribe(deviceId, 'estop', onState);
+    },
+
+    async fetchLastSeen(deviceId) {
+      const rows = getUnit(deviceId).recentRows;
+      return { lastSeen: rows.length ? new Date(rows[rows.length - 1].created_at).getTime() : null, error: null };
+    },
+
+    async fetchRecentTelemetry(deviceId, limit) {
+      return { rows: getUnit(deviceId).recentRows.slice(-limit), error: null };
+    },
+
+    async fetchEstopState(deviceId) {
+      return { state: toEstopState(getUnit(deviceId).estopRow), error: null };
+    },
+
+    async sendCommand(deviceId, command) {
+      return { data: enqueueCommand(deviceId, command), error: null };
+    },
+
+    async expireCommand(deviceId, id) {
+      setCommandStatus(deviceId, id, COMMAND_STATUS.TIMED_OUT);
+      return null;
+    },
+
+    async cancelCommands(deviceId, ids) {
+      getUnit(deviceId).gripper.pendingCommands()
+        .filter(c => ids.includes(c.id))
+        .forEach(c => setCommandStatus(deviceId, c.id, COMMAND_STATUS.CANCELLED));
+      return null;
+    },
+
+    /**
+     * Same steps as the Supabase e-stop: top-priority ESTOP, cancel the queue, latch
+     */
+    async triggerEstop(deviceId) {
+      enqueueCommand(deviceId, { type: 'ESTOP', priority: ESTOP_PRIORITY });
+      getUnit(deviceId).gripper.pendingCommands()
+        .filter(c => c.type !== 'ESTOP')
+        .forEach(c => setCommandStatus(deviceId, c.id, COMMAND_STATUS.CANCELLED));
+      setEstop(deviceId, { estop_active: true, estop_triggered_at: new Date().toISOString() });
+      return [];
+    },
+
+    async rearmEstop(deviceId) {
+      setEstop(deviceId, { estop_active: false, estop_cleared_at: new Date().toISOString() });
+      enqueueCommand(deviceId, { type: 'REARM', priority: ESTOP_PRIORITY });
+      return [];
+    },
+
+    /**
+     * Same steps as the Supabase stop: top-priority STOP, cancel the queued motion, no latch
+     */
+    async stopMotion(deviceId) {
+      enqueueCommand(deviceId, { type: 'STOP', priority: ESTOP_PRIORITY });
+      getUnit(deviceId).gripper.pendingCommands()
+        .filter(c => MOTION_COMMANDS.includes(c.type))
+        .forEach(c => setCommandStatus(deviceId, c.id, COMMAND_STATUS.CANCELLED));
+      return [];
+    }
+  };
+};
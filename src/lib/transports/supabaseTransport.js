@@ -0,0 +1,209 @@
+import { supabase } from '../supabaseClient';
+import { COMMAND_STATUS } from '../commands';
+import { toEstopState, fetchEstopState, triggerEstop, rearmEstop, stopMotion } from '../estop';
+import { LIVE_CHART_POINTS, fetchRecentTelemetry, fetchTelemetrySince } from '../telemetryHistory';
+import { getDashboardSessionId } from '../audit';
+import { createLinkMonitor, backoffDelay } from '../linkMonitor';
+
+// Channel statuses reported by supabase-js that mean the subscription is gone
+const CHANNEL_LOST_STATUSES = ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'];
+
+/**
+ * Cloud transport: realtime postgres_changes channels and the Supabase REST API.
+ * The ESP32 polls the 'commands' table and posts to 'telemetry'.
+ */
+export const createSupabaseTransport = () => {
+  const link = createLinkMonitor();
+
+  /**
+   * Subscribes to postgres_changes and keeps the subscription alive: a lost channel
+   * is removed and recreated with exponential backoff, and onReconnect(downSince)
+   * runs once it is subscribed again so the caller can backfill the gap. onLost()
+   * runs once when an outage begins.
+   */
+  const subscribeResilient = (name, changes, onPayload, onReconnect, onLost) => {
+    let channel = null;
+    let attempt = 0;
+    let retryTimer = null;
+    let downSince = null;
+    let removal = Promise.resolve(); // A dropped channel must be gone before one with its name is created
+    let isClosed = false;
+
+    const connect = () => {
+      if (isClosed || channel) return;
+
+      const current = supabase.channel(name).on('postgres_changes', changes, onPayload);
+      channel = current;
+      if (!downSince) link.setChannel(name, { state: 'connecting' }); // A retry stays 'down' until subscribed
+
+      current.subscribe((status) => {
+        if (current !== channel) return; // A channel we already dropped or removed
+
+        if (status === 'SUBSCRIBED') {
+          attempt = 0;
+          link.setChannel(name, { state: 'up' });
+          if (downSince) {
+            onReconnect?.(downSince);
+            downSince = null;
+          }
+        } else if (CHANNEL_LOST_STATUSES.includes(status)) {
+          if (!downSince) onLost?.();
+          downSince = downSince || new Date().toISOString();
+          const delay = backoffDelay(attempt);
+          attempt += 1;
+          channel = null;
+          removal = supabase.removeChannel(current);
+          retryTimer = setTimeout(retryNow, delay);
+          link.setChannel(name, { state: 'down', attempt, retryAt: Date.now() + delay, retryNow });
+        }
+      });
+    };
+
+    const retryNow = () => {
+      clearTimeout(retryTimer);
+      removal.finally(connect);
+    };
+
+    connect();
+
+    return () => {
+      isClosed = true;
+      clearTimeout(retryTimer);
+      const current = channel;
+      channel = null;
+      if (current) supabase.removeChannel(current);
+      link.removeChannel(name);
+    };
+  };
+
+  return {
+    kind: 'supabase',
+    label: 'Supabase (cloud)',
+    supportsHistory: true, // History, export, audit and fleet views query Supabase directly
+
+    getLinkStatus: link.getStatus,
+    subscribeLinkStatus: link.subscribe,
+
+    /**
+     * Delivers new telemetry rows; after an outage the newest rows missed meanwhile
+     * (as many as the live chart shows) are delivered too, flagged with { backfill: true }.
+     * They can arrive after newer live rows, so callers order them by created_at.
+     */
+    subscribeTelemetry(deviceId, onRow) {
+      let lastCreatedAt = null;
+      let gapStart = null; // lastCreatedAt when the link was lost; live rows after the reconnect must not move it
+      const deliveredIds = new Set(); // Rows may arrive live while the backfill query runs
+
+      const deliver = (row, backfill) => {
+        if (deliveredIds.has(row.id)) return;
+        deliveredIds.add(row.id);
+        if (deliveredIds.size > 500) deliveredIds.delete(deliveredIds.values().next().value);
+        if (!lastCreatedAt || new Date(row.created_at) > new Date(lastCreatedAt)) lastCreatedAt = row.created_at;
+        onRow(row, { backfill });
+      };
+
+      return subscribeResilient(
+        `telemetry-changes:${deviceId}`,
+        { event: 'INSERT', schema: 'public', table: 'telemetry', filter: `device_id=eq.${deviceId}` },
+        (payload) => deliver(payload.new, false),
+        async (downSince) => {
+          const { rows, error } = await fetchTelemetrySince(deviceId, gapStart || downSince, LIVE_CHART_POINTS);
+          if (error) return; // The gap stays open and is backfilled after the next reconnect
+          gapStart = null;
+          rows.forEach(row => deliver(row, true));
+        },
+        () => { gapStart = gapStart || lastCreatedAt; }
+      );
+    },
+
+    /**
+     * Delivers command status updates; after an outage every command that was
+     * acknowledged or finished meanwhile is delivered again
+     */
+    subscribeCommandUpdates(deviceId, onRow) {
+      return subscribeResilient(
+        `command-changes:${deviceId}`,
+        { event: 'UPDATE', schema: 'public', table: 'commands', filter: `device_id=eq.${deviceId}` },
+        (payload) => onRow(payload.new),
+        async (downSince) => {
+          const { data } = await supabase
+            .from('commands')
+            .select('*')
+            .eq('device_id', deviceId)
+            .or(`acked_at.gte."${downSince}",completed_at.gte."${downSince}"`)
+            .order('created_at', { ascending: true });
+          (data || []).forEach(onRow);
+        }
+      );
+    },
+
+    subscribeEstop(deviceId, onState) {
+      return subscribeResilient(
+        `system-state-changes:${deviceId}`,
+        { event: 'UPDATE', schema: 'public', table: 'system_state', filter: `device_id=eq.${deviceId}` },
+        (payload) => onState(toEstopState(payload.new)),
+        async () => {
+          const { state, error } = await fetchEstopState(deviceId);
+          if (!error) onState(state);
+        }
+      );
+    },
+
+    /**
+     * Time of the newest telemetry row, used for the ESP32 link status
+     */
+    async fetchLastSeen(deviceId) {
+      const { data, error } = await supabase
+        .from('telemetry')
+        .select('created_at')
+        .eq('device_id', deviceId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      return { lastSeen: data?.[0] ? new Date(data[0].created_at).getTime() : null, error };
+    },
+
+    fetchRecentTelemetry,
+    fetchEstopState,
+    triggerEstop,
+    rearmEstop,
+    stopMotion,
+
+    /**
+     * Inserts a PENDING command and resolves with { data: insertedRow, error }
+     */
+    async sendCommand(deviceId, { type, value }) {
+      return supabase
+        .from('commands')
+        .insert([{ device_id: deviceId, session_id: getDashboardSessionId(), type, value, status: COMMAND_STATUS.PENDING }])
+        .select()
+        .single();
+    },
+
+    /**
+     * Marks a command as TIMED_OUT unless the ESP32 finished it in the meantime
+     */
+    async expireCommand(deviceId, id) {
+      const { error } = await supabase
+        .from('commands')
+        .update({ status: COMMAND_STATUS.TIMED_OUT })
+        .eq('id', id)
+        .in('status', [COMMAND_STATUS.PENDING, COMMAND_STATUS.ACKED]);
+
+      return error;
+    },
+
+    /**
+     * Cancels the given commands the ESP32 has not picked up yet
+     */
+    async cancelCommands(deviceId, ids) {
+      const { error } = await supabase
+        .from('commands')
+        .update({ status: COMMAND_STATUS.CANCELLED })
+        .in('id', ids)
+        .eq('status', COMMAND_STATUS.PENDING);
+
+      return error;
+    }
+  };
+};
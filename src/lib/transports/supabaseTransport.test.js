@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createSupabaseTransport } from './supabaseTransport';
+import { supabase } from '../supabaseClient';
+import { LIVE_CHART_POINTS } from '../telemetryHistory';
+
+const DEVICE_ID = 'gripper-01';
+const CHANNEL = `telemetry-changes:${DEVICE_ID}`;
+
+const at = (seconds) => new Date(Date.parse('2026-10-18T12:00:00Z') + seconds * 1000).toISOString();
+
+describe('supabase transport telemetry backfill', () => {
+  it('backfills the newest rows of a long gap once the channel is back', async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const delivered = [];
+    const transport = createSupabaseTransport();
+    const unsubscribe = transport.subscribeTelemetry(DEVICE_ID, (row, { backfill }) => delivered.push({ id: row.id, backfill }));
+    await vi.waitFor(() => expect(supabase.subscribedChannels()).toContain(CHANNEL));
+
+    await supabase.from('telemetry').insert([{ device_id: DEVICE_ID, created_at: at(0) }]);
+    await vi.waitFor(() => expect(delivered).toHaveLength(1));
+
+    // Half an hour of readings at 1 Hz is missed while the channel is down
+    supabase.setChannelStatus('telemetry-changes', 'CHANNEL_ERROR');
+    supabase.seed('telemetry', Array.from({ length: 1800 }, (_, i) => ({ device_id: DEVICE_ID, created_at: at(i + 1) })));
+    const newest = supabase.rows('telemetry').slice(-LIVE_CHART_POINTS).map(row => row.id);
+
+    await vi.advanceTimersByTimeAsync(30000);
+    await vi.waitFor(() => expect(delivered.filter(d => d.backfill)).toHaveLength(LIVE_CHART_POINTS));
+
+    expect(delivered.filter(d => d.backfill).map(d => d.id)).toEqual(newest);
+    unsubscribe();
+  });
+
+  it('keeps backfilling from the last row before the outage when live rows arrive meanwhile', async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const delivered = [];
+    const transport = createSupabaseTransport();
+    const unsubscribe = transport.subscribeTelemetry(DEVICE_ID, (row, { backfill }) => delivered.push({ id: row.id, backfill }));
+    await vi.waitFor(() => expect(supabase.subscribedChannels()).toContain(CHANNEL));
+
+    await supabase.from('telemetry').insert([{ device_id: DEVICE_ID, created_at: at(0) }]);
+    await vi.waitFor(() => expect(delivered).toHaveLength(1));
+
+    supabase.setChannelStatus('telemetry-changes', 'CHANNEL_ERROR');
+    supabase.seed('telemetry', [{ device_id: DEVICE_ID, created_at: at(1) }, { device_id: DEVICE_ID, created_at: at(2) }]);
+    const missed = supabase.rows('telemetry').slice(1).map(row => row.id);
+
+    // The first backfill fails, and a live row lands after the reconnect
+    supabase.failNext('telemetry', 'network hiccup');
+    await vi.advanceTimersByTimeAsync(30000);
+    await vi.waitFor(() => expect(supabase.subscribedChannels()).toContain(CHANNEL));
+    await supabase.from('telemetry').insert([{ device_id: DEVICE_ID, created_at: at(3) }]);
+    await vi.waitFor(() => expect(delivered).toHaveLength(2));
+
+    // The failed backfill is retried after the next outage and still covers the first gap
+    supabase.setChannelStatus('telemetry-changes', 'CHANNEL_ERROR');
+    await vi.advanceTimersByTimeAsync(30000);
+    await vi.waitFor(() => expect(delivered.filter(d => d.backfill).map(d => d.id)).toEqual(missed));
+    unsubscribe();
+  });
+});
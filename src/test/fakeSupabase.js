@@ -0,0 +1,321 @@
+/**
+ * In-memory stand-in for the supabase-js client, installed for every test by
+ * src/test/setup.js. Tables are plain arrays; writes are pushed to realtime
+ * channels subscribed with a matching postgres_changes filter, like the real
+ * client does. Only the query builder methods the dashboard uses are supported.
+ *
+ * Test helpers (not part of supabase-js): reset(), seed(), rows(), signIn(),
+ * subscribedChannels(), setChannelStatus(), failNext().
+ */
+
+const OPERATORS = {
+  eq: (a, b) => String(a) === String(b),
+  neq: (a, b) => String(a) !== String(b),
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  in: (a, list) => list.map(String).includes(String(a)),
+  ilike: (a, pattern) =>
+    new RegExp(`^${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`, 'i').test(a ?? '')
+};
+
+// Timestamps are compared as instants, whatever their ISO formatting
+const comparable = (value) =>
+  (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value).getTime() : value);
+
+const matches = (row, { column, operator, value }) => {
+  const cell = comparable(row[column]);
+  const target = Array.isArray(value) ? value : comparable(value);
+  return OPERATORS[operator](cell, target);
+};
+
+/**
+ * Parses the filter of .or('acked_at.gte."2026-...",completed_at.gte."2026-..."')
+ */
+const parseOr = (expression) =>
+  expression.split(/,(?=\w+\.\w+\.)/).map(part => {
+    const [column, operator, ...rest] = part.split('.');
+    return { column, operator, value: rest.join('.').replace(/^"|"$/g, '') };
+  });
+
+/**
+ * Parses a realtime filter such as 'device_id=eq.gripper-01'
+ */
+const parseChannelFilter = (filter) => {
+  if (!filter) return null;
+  const [column, rest] = filter.split('=');
+  const [operator, ...value] = rest.split('.');
+  return { column, operator, value: value.join('.') };
+};
+
+export const createFakeSupabase = () => {
+  let tables = {};
+  let nextId = 1;
+  let channels = [];
+  let session = null;
+  let authListeners = [];
+  let failures = {}; // table -> error returned by the next query on it
+
+  const table = (name) => {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  };
+
+  const emitChange = (tableName, eventType, row, old) => {
+    channels.forEach(channel => {
+      if (channel.status !== 'SUBSCRIBED') return;
+      channel.listeners.forEach(({ changes, callback }) => {
+        if (changes.table !== tableName) return;
+        if (changes.event !== '*' && changes.event !== eventType) return;
+        const filter = parseChannelFilter(changes.filter);
+        if (filter && !matches(row, filter)) return;
+        // Realtime payloads arrive asynchronously
+        queueMicrotask(() => callback({ eventType, schema: 'public', table: tableName, new: row, old }));
+      });
+    });
+  };
+
+  /**
+   * Chainable, awaitable query on one table
+   */
+  const createQuery = (tableName) => {
+    const state = { action: 'select', payload: null, filters: [], orFilters: [], order: [], limit: null, range: null, single: null, returning: false, onConflict: null };
+
+    const run = () => {
+      const failure = failures[tableName];
+      if (failure) {
+        delete failures[tableName];
+        return { data: null, error: failure };
+      }
+
+      const rows = table(tableName);
+      const isMatch = (row) =>
+        state.filters.every(f => matches(row, f)) && (state.orFilters.length === 0 || state.orFilters.some(f => matches(row, f)));
+      let result;
+
+      if (state.action === 'insert' || state.action === 'upsert') {
+        result = state.payload.map(values => {
+          const existing = state.action === 'upsert' && rows.find(r => r[state.onConflict] === values[state.onConflict]);
+          if (existing) {
+            const old = { ...existing };
+            Object.assign(existing, values);
+            emitChange(tableName, 'UPDATE', { ...existing }, old);
+            return { ...existing };
+          }
+          const row = { id: nextId++, created_at: new Date().toISOString(), ...values };
+          rows.push(row);
+          emitChange(tableName, 'INSERT', { ...row }, {});
+          return { ...row };
+        });
+      } else if (state.action === 'update') {
+        result = rows.filter(isMatch).map(row => {
+          const old = { ...row };
+          Object.assign(row, state.payload);
+          emitChange(tableName, 'UPDATE', { ...row }, old);
+          return { ...row };
+        });
+      } else if (state.action === 'delete') {
+        result = rows.filter(isMatch);
+        tables[tableName] = rows.filter(row => !isMatch(row));
+        result.forEach(row => emitChange(tableName, 'DELETE', {}, row));
+      } else {
+        result = rows.filter(isMatch).map(row => ({ ...row }));
+        state.order.forEach(({ column, ascending }) => {
+          result.sort((a, b) => {
+            const x = comparable(a[column]);
+            const y = comparable(b[column]);
+            return (x < y ? -1 : x > y ? 1 : 0) * (ascending ? 1 : -1);
+          });
+        });
+        if (state.range) result = result.slice(state.range[0], state.range[1] + 1);
+        if (state.limit !== null) result = result.slice(0, state.limit);
+      }
+
+      if (state.action !== 'select' && !state.returning) return { data: null, error: null };
+      if (state.single) {
+        if (result.length === 0 && state.single === 'maybe') return { data: null, error: null };
+        if (result.length !== 1) return { data: null, error: new Error(`Expected one row from ${tableName}, got ${result.length}`) };
+        return { data: result[0], error: null };
+      }
+      return { data: result, error: null };
+    };
+
+    const query = {
+      select() {
+        if (state.action === 'select') return query;
+        state.returning = true;
+        return query;
+      },
+      insert(rows) {
+        Object.assign(state, { action: 'insert', payload: [].concat(rows) });
+        return query;
+      },
+      upsert(rows, { onConflict = 'id' } = {}) {
+        Object.assign(state, { action: 'upsert', payload: [].concat(rows), onConflict });
+        return query;
+      },
+      update(values) {
+        Object.assign(state, { action: 'update', payload: values });
+        return query;
+      },
+      delete() {
+        state.action = 'delete';
+        return query;
+      },
+      or(expression) {
+        state.orFilters.push(...parseOr(expression));
+        return query;
+      },
+      order(column, { ascending = true } = {}) {
+        state.order.unshift({ column, ascending }); // Sorted last-first so the first order() wins
+        return query;
+      },
+      limit(count) {
+        state.limit = count;
+        return query;
+      },
+      range(from, to) {
+        state.range = [from, to];
+        return query;
+      },
+      single() {
+        state.single = 'one';
+        return query;
+      },
+      maybeSingle() {
+        state.single = 'maybe';
+        return query;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(run).then(resolve, reject);
+      }
+    };
+
+    Object.keys(OPERATORS).forEach(operator => {
+      query[operator] = (column, value) => {
+        state.filters.push({ column, operator, value });
+        return query;
+      };
+    });
+
+    return query;
+  };
+
+  const setSession = (next) => {
+    session = next;
+    authListeners.forEach(listener => listener(next ? 'SIGNED_IN' : 'SIGNED_OUT', next));
+  };
+
+  return {
+    from: createQuery,
+
+    channel(name) {
+      const channel = {
+        name,
+        status: 'CLOSED',
+        listeners: [],
+        onStatus: null,
+        on(_type, changes, callback) {
+          channel.listeners.push({ changes, callback });
+          return channel;
+        },
+        subscribe(onStatus) {
+          channel.onStatus = onStatus;
+          channels.push(channel);
+          queueMicrotask(() => {
+            if (!channels.includes(channel)) return;
+            channel.status = 'SUBSCRIBED';
+            onStatus?.('SUBSCRIBED');
+          });
+          return channel;
+        }
+      };
+      return channel;
+    },
+
+    removeChannel(channel) {
+      channels = channels.filter(c => c !== channel);
+      channel.status = 'CLOSED';
+      return Promise.resolve('ok');
+    },
+
+    auth: {
+      getSession: async () => ({ data: { session }, error: null }),
+      onAuthStateChange(listener) {
+        authListeners.push(listener);
+        return { data: { subscription: { unsubscribe: () => { authListeners = authListeners.filter(l => l !== listener); } } } };
+      },
+      async signInWithPassword({ email }) {
+        const profile = table('profiles').find(p => p.email === email);
+        if (!profile) return { data: null, error: new Error('Invalid login credentials') };
+        setSession({ user: { id: profile.id, email } });
+        return { data: { session }, error: null };
+      },
+      signInWithOtp: async () => ({ data: null, error: null }),
+      async signOut() {
+        setSession(null);
+        return { error: null };
+      }
+    },
+
+    storage: {
+      from: (bucket) => ({
+        upload: async (path) => {
+          table('storage.objects').push({ bucket_id: bucket, name: path });
+          return { data: { path }, error: null };
+        },
+        createSignedUrl: async (path) => ({ data: { signedUrl: `https://fake.storage/${bucket}/${path}` }, error: null })
+      })
+    },
+
+    // --- Test helpers ---
+
+    /**
+     * Empties every table, closes every channel and signs out
+     */
+    reset() {
+      tables = {};
+      nextId = 1;
+      channels = [];
+      session = null;
+      authListeners = [];
+      failures = {};
+    },
+
+    /**
+     * Adds rows to a table without notifying realtime listeners
+     */
+    seed(tableName, rows) {
+      rows.forEach(values => table(tableName).push({ id: nextId++, created_at: new Date().toISOString(), ...values }));
+    },
+
+    rows: (tableName) => table(tableName).map(row => ({ ...row })),
+
+    /**
+     * Starts with a signed-in user, as if the session had been restored from storage
+     */
+    signIn(user) {
+      session = { user };
+    },
+
+    subscribedChannels: () => channels.filter(c => c.status === 'SUBSCRIBED').map(c => c.name),
+
+    /**
+     * Reports a status such as 'CHANNEL_ERROR' on every open channel whose name starts with the prefix
+     */
+    setChannelStatus(prefix, status) {
+      channels.filter(c => c.name.startsWith(prefix)).forEach(channel => {
+        channel.status = status;
+        channel.onStatus?.(status);
+      });
+    },
+
+    /**
+     * Makes the next query on a table fail with the given message
+     */
+    failNext(tableName, message) {
+      failures[tableName] = new Error(message);
+    }
+  };
+};
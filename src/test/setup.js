@@ -0,0 +1,32 @@
+import '@testing-library/jest-dom/vitest';
+import { afterEach, beforeEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { supabase } from '../lib/supabaseClient';
+
+// Every test runs against the in-memory client; no Supabase project is needed
+vi.mock('../lib/supabaseClient', async () => {
+  const { createFakeSupabase } = await import('./fakeSupabase');
+  return { supabase: createFakeSupabase() };
+});
+
+// jsdom has no layout: Recharts' ResponsiveContainer only needs ResizeObserver to exist.
+// matchMedia and navigator.getGamepads are missing too; the hooks using them fall back on their own.
+if (!globalThis.ResizeObserver) {
+  globalThis.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
+
+beforeEach(() => {
+  supabase.reset();
+  localStorage.clear();
+  sessionStorage.clear();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
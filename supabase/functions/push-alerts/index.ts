@@ -0,0 +1,138 @@
+/**
+ * Sends alarm pushes to every browser that enabled push alerts in Settings.
+ * Called by the database (see section 12 of supabase_setup.sql) with one of:
+ *
+ *   { kind: 'LOW_BATTERY', device_id, battery_pct }
+ *   { kind: 'COMMAND_FAILED', device_id, command_id, type }
+ *   { kind: 'OFFLINE_CHECK' }   every minute; alerts once per unit that went silent
+ *
+ * Deploy with its VAPID key pair (generate one with `npx web-push generate-vapid-keys`;
+ * the public key is VITE_VAPID_PUBLIC_KEY of the dashboard):
+ *
+ *   supabase secrets set VAPID_PUBLIC_KEY=... VAPID_PRIVATE_KEY=... VAPID_SUBJECT=mailto:ops@example.com
+ *   supabase functions deploy push-alerts
+ */
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import webpush from 'npm:web-push@3';
+
+// A unit is reported offline after this long without telemetry
+const OFFLINE_AFTER_MS = 60 * 1000;
+
+webpush.setVapidDetails(
+  Deno.env.get('VAPID_SUBJECT') ?? 'mailto:admin@localhost',
+  Deno.env.get('VAPID_PUBLIC_KEY')!,
+  Deno.env.get('VAPID_PRIVATE_KEY')!
+);
+
+const SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+const supabase = createClient(Deno.env.get('SUPABASE_URL')!, SERVICE_ROLE_KEY);
+
+type Alert = { title: string; body: string; tag: string; severity: 'warning' | 'critical' };
+
+/**
+ * Message of a caught value: an Error, or the plain error object supabase-js returns
+ */
+const errorMessage = (error: unknown): string =>
+  (typeof error === 'object' && error !== null && 'message' in error ? String(error.message) : String(error));
+
+/**
+ * HTTP status the push service answered with (web-push's WebPushError.statusCode), if any
+ */
+const pushStatusCode = (error: unknown): unknown =>
+  (typeof error === 'object' && error !== null && 'statusCode' in error ? error.statusCode : undefined);
+
+const deviceName = async (deviceId: string) => {
+  const { data } = await supabase.from('devices').select('name').eq('id', deviceId).maybeSingle();
+  return data?.name ?? deviceId;
+};
+
+/**
+ * Units whose last telemetry is older than OFFLINE_AFTER_MS and that were not
+ * reported since; marks them reported
+ */
+const findNewlyOffline = async () => {
+  const cutoff = new Date(Date.now() - OFFLINE_AFTER_MS).toISOString();
+  const { data, error } = await supabase
+    .from('devices')
+    .select('id, name, last_seen, offline_alerted_at')
+    .lt('last_seen', cutoff);
+  if (error) throw error;
+
+  const silent = (data ?? []).filter(d =>
+    !d.offline_alerted_at || new Date(d.offline_alerted_at).getTime() < new Date(d.last_seen).getTime()
+  );
+  if (silent.length > 0) {
+    await supabase
+      .from('devices')
+      .update({ offline_alerted_at: new Date().toISOString() })
+      .in('id', silent.map(d => d.id));
+  }
+  return silent;
+};
+
+const toAlerts = async (payload: Record<string, unknown>): Promise<Alert[]> => {
+  switch (payload.kind) {
+    case 'LOW_BATTERY':
+      return [{
+        title: 'Gripper WARNING alarm',
+        body: `${await deviceName(payload.device_id as string)}: battery at ${payload.battery_pct}%`,
+        tag: `low-battery:${payload.device_id}`,
+        severity: 'warning'
+      }];
+    case 'COMMAND_FAILED':
+      return [{
+        title: 'Gripper CRITICAL alarm',
+        body: `${await deviceName(payload.device_id as string)}: command ${payload.type} failed`,
+        tag: `command-failed:${payload.command_id}`,
+        severity: 'critical'
+      }];
+    case 'OFFLINE_CHECK':
+      return (await findNewlyOffline()).map(device => ({
+        title: 'Gripper CRITICAL alarm',
+        body: `${device.name}: offline since ${new Date(device.last_seen).toLocaleTimeString('en-GB', { timeZone: 'UTC' })} UTC`,
+        tag: `offline:${device.id}`,
+        severity: 'critical'
+      }));
+    default:
+      return [];
+  }
+};
+
+/**
+ * Pushes one alert to every subscription, dropping those the push service reports gone
+ */
+const broadcast = async (alert: Alert) => {
+  const { data: subscriptions, error } = await supabase.from('push_subscriptions').select('id, endpoint, keys');
+  if (error) throw error;
+
+  const gone: number[] = [];
+  await Promise.all((subscriptions ?? []).map(async (subscription) => {
+    try {
+      await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, JSON.stringify({ ...alert, url: '/' }));
+    } catch (error) {
+      const statusCode = pushStatusCode(error);
+      if (statusCode === 404 || statusCode === 410) gone.push(subscription.id);
+      else console.error(`Push to ${subscription.endpoint} failed:`, errorMessage(error));
+    }
+  }));
+
+  if (gone.length > 0) await supabase.from('push_subscriptions').delete().in('id', gone);
+  return (subscriptions ?? []).length - gone.length;
+};
+
+Deno.serve(async (request) => {
+  // Only the database may raise alerts; a signed-in user's token is not enough
+  if (request.headers.get('Authorization') !== `Bearer ${SERVICE_ROLE_KEY}`) {
+    return Response.json({ error: 'Forbidden' }, { status: 403 });
+  }
+
+  try {
+    const alerts = await toAlerts(await request.json());
+    let delivered = 0;
+    for (const alert of alerts) delivered += await broadcast(alert);
+    return Response.json({ alerts: alerts.length, delivered });
+  } catch (error) {
+    console.error('push-alerts failed:', errorMessage(error));
+    return Response.json({ error: errorMessage(error) }, { status: 500 });
+  }
+});
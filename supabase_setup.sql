@@ -1,30 +1,398 @@
 -- 🦾 Robotic Gripper Database Setup Script
 -- Run this in your Supabase SQL Editor
 
--- 1. Create the telemetry table for sensor data
+-- 1. Create the device registry (one row per gripper unit)
+CREATE TABLE devices (
+  id TEXT PRIMARY KEY, -- Matches device_id in the firmware, e.g. 'gripper-01'
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  name TEXT NOT NULL,
+  camera_ip TEXT, -- ESP32-CAM address shown in Visual Monitoring
+  last_seen TIMESTAMPTZ, -- Updated on every telemetry insert
+  offline_alerted_at TIMESTAMPTZ, -- Last offline push alert, so a unit that stays offline is reported once (section 12)
+  low_battery_alerted_at TIMESTAMPTZ -- Set by the low-battery push alert until the charge recovers (section 12)
+);
+
+-- 2. Create the telemetry table for sensor data
 CREATE TABLE telemetry (
   id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
   created_at TIMESTAMPTZ DEFAULT NOW(),
+  device_id TEXT NOT NULL REFERENCES devices(id),
   fsr_value INTEGER,
   motor_current FLOAT4,
   temperature FLOAT4,
   humidity FLOAT4,
-  battery_pct INTEGER
+  battery_pct INTEGER,
+  jaw_position SMALLINT, -- 0 = fully open, 100 = fully closed (dead-reckoned, re-zeroed by the limit switches)
+  limit_open BOOLEAN, -- Open limit switch pressed
+  limit_closed BOOLEAN -- Closed limit switch pressed
 );
 
--- 2. Create the commands table for gripper control
+CREATE INDEX telemetry_device_time ON telemetry (device_id, created_at DESC);
+
+-- Keep devices.last_seen current for the fleet overview
+-- (SECURITY DEFINER: the firmware posting telemetry may not update devices itself)
+CREATE FUNCTION touch_device_last_seen() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE devices SET last_seen = NEW.created_at WHERE id = NEW.device_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER telemetry_touch_device
+  AFTER INSERT ON telemetry
+  FOR EACH ROW EXECUTE FUNCTION touch_device_last_seen();
+
+-- 3. Create the commands table for gripper control
 CREATE TABLE commands (
   id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
   created_at TIMESTAMPTZ DEFAULT NOW(),
-  type TEXT NOT NULL, -- 'GRIP', 'RELEASE', 'RESET'
-  value TEXT,
-  status TEXT DEFAULT 'PENDING' -- 'PENDING', 'EXECUTED'
+  device_id TEXT NOT NULL REFERENCES devices(id),
+  issued_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(), -- Operator who sent it (NULL for the ESP32)
+  session_id TEXT, -- Dashboard tab it was sent from, for the audit trail
+  type TEXT NOT NULL, -- 'GRIP', 'RELEASE', 'STEP_GRIP', 'STEP_RELEASE', 'SET_PARAMS', 'RESET', 'STOP', 'ESTOP', 'REARM'
+  value TEXT, -- JSON parameters, e.g. {"torque": 75, "speed": 40}
+  status TEXT DEFAULT 'PENDING', -- 'PENDING', 'ACKED', 'EXECUTED', 'FAILED', 'TIMED_OUT', 'CANCELLED'
+  priority INTEGER DEFAULT 0, -- Safety commands (STOP/ESTOP/REARM) use 100 so they are fetched first
+  acked_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  -- Motor run of an executed motion command, measured by the firmware (sampled every 10 ms
+  -- inside runMotor) and reported with the EXECUTED status; no telemetry is posted meanwhile
+  run_ms INTEGER, -- How long the motor ran
+  peak_current FLOAT4, -- A, highest sample during the run
+  mean_current FLOAT4, -- A, average over the run
+  peak_fsr SMALLINT -- %, highest grip pressure during the run
+);
+
+-- Stamp lifecycle times on the server so they do not depend on the ESP32 or browser clocks
+CREATE FUNCTION stamp_command_status() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    IF NEW.status = 'ACKED' THEN
+      NEW.acked_at := NOW();
+    ELSIF NEW.status IN ('EXECUTED', 'FAILED', 'TIMED_OUT', 'CANCELLED') THEN
+      NEW.completed_at := NOW();
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER commands_stamp_status
+  BEFORE UPDATE ON commands
+  FOR EACH ROW EXECUTE FUNCTION stamp_command_status();
+
+CREATE INDEX commands_device_status ON commands (device_id, status, priority DESC, created_at DESC);
+
+-- 4. Create the shared system state (one row per device) holding the latched emergency stop
+CREATE TABLE system_state (
+  device_id TEXT PRIMARY KEY REFERENCES devices(id) ON DELETE CASCADE,
+  estop_active BOOLEAN DEFAULT FALSE,
+  estop_triggered_at TIMESTAMPTZ,
+  estop_cleared_at TIMESTAMPTZ
+);
+
+-- Every registered device gets its own system state row
+CREATE FUNCTION create_device_state() RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO system_state (device_id) VALUES (NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER devices_create_state
+  AFTER INSERT ON devices
+  FOR EACH ROW EXECUTE FUNCTION create_device_state();
+
+-- Register the first unit (add more rows for additional grippers)
+INSERT INTO devices (id, name) VALUES ('gripper-01', 'Gripper 01');
+
+-- 5. Saved grip sequences (ordered command / wait / wait-until steps)
+CREATE TABLE sequences (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+  name TEXT NOT NULL,
+  steps JSONB NOT NULL DEFAULT '[]' -- e.g. [{"kind": "command", "type": "GRIP"}, {"kind": "wait", "ms": 1000}]
 );
 
--- 3. Enable Realtime for both tables
+-- 6. Enable Realtime for all tables
+ALTER PUBLICATION supabase_realtime ADD TABLE devices;
 ALTER PUBLICATION supabase_realtime ADD TABLE telemetry;
 ALTER PUBLICATION supabase_realtime ADD TABLE commands;
+ALTER PUBLICATION supabase_realtime ADD TABLE system_state;
+
+-- 7. Operator profiles: one row per Supabase Auth user holding their role
+CREATE TABLE profiles (
+  id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'operator', 'admin'))
+);
+
+-- New sign-ups start as viewers; promote them with:
+--   UPDATE profiles SET role = 'operator' WHERE email = 'someone@example.com';
+CREATE FUNCTION create_profile() RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.profiles (id, email) VALUES (NEW.id, NEW.email);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER on_auth_user_created
+  AFTER INSERT ON auth.users
+  FOR EACH ROW EXECUTE FUNCTION create_profile();
+
+-- Role of the calling user (NULL for the anon key used by the ESP32)
+CREATE FUNCTION current_user_role() RETURNS TEXT AS $$
+  SELECT role FROM public.profiles WHERE id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Per-unit secret the firmware sends in the x-device-key header. The anon key ships in the
+-- dashboard bundle, so on its own it must not let anyone post readings or move commands on.
+-- Only the SHA-256 is stored; provision each unit with a long random key:
+--   INSERT INTO device_keys VALUES ('gripper-01', encode(sha256(convert_to('<device key>', 'UTF8')), 'hex'));
+CREATE TABLE device_keys (
+  device_id TEXT PRIMARY KEY REFERENCES devices(id) ON DELETE CASCADE,
+  key_hash TEXT NOT NULL
+);
+
+-- True when the request carries the key of the given unit (checked by the anon policies below)
+CREATE FUNCTION is_device_request(device TEXT) RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM device_keys
+    WHERE device_id = device
+      AND key_hash = encode(sha256(convert_to(
+        COALESCE(current_setting('request.headers', true)::json ->> 'x-device-key', ''), 'UTF8')), 'hex')
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- 8. Row-level security
+--   viewer:   read telemetry, commands and state
+--   operator: + send commands, trigger the e-stop
+--   admin:    + re-arm the e-stop, manage devices and roles
+--   anon:     the ESP32 firmware, identified by its device key; posts telemetry and
+--             moves its own commands on from PENDING/ACKED only
+ALTER TABLE devices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE telemetry ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commands ENABLE ROW LEVEL SECURITY;
+ALTER TABLE system_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE device_keys ENABLE ROW LEVEL SECURITY; -- No policies: read by is_device_request() only
+
+CREATE POLICY "Signed-in users read devices" ON devices
+  FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Admins manage devices" ON devices
+  FOR ALL TO authenticated
+  USING (current_user_role() = 'admin') WITH CHECK (current_user_role() = 'admin');
+
+CREATE POLICY "Signed-in users read telemetry" ON telemetry
+  FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Firmware posts telemetry" ON telemetry
+  FOR INSERT TO anon WITH CHECK (is_device_request(device_id));
+
+CREATE POLICY "Signed-in users read commands" ON commands
+  FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Operators send commands as themselves" ON commands
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    current_user_role() IN ('operator', 'admin')
+    AND issued_by = auth.uid()
+    AND (type <> 'REARM' OR current_user_role() = 'admin')
+  );
+-- Dashboards only time out or cancel commands still in flight (deadlines, e-stop, STOP)
+CREATE POLICY "Operators update command status" ON commands
+  FOR UPDATE TO authenticated
+  USING (current_user_role() IN ('operator', 'admin') AND status IN ('PENDING', 'ACKED'))
+  WITH CHECK (current_user_role() IN ('operator', 'admin') AND status IN ('TIMED_OUT', 'CANCELLED'));
+-- Each unit sees only its own queue, never another unit's commands or who sent them
+CREATE POLICY "Firmware reads commands" ON commands
+  FOR SELECT TO anon USING (is_device_request(device_id));
+-- The firmware reports progress on its own in-flight commands. It may cancel motion it
+-- refuses while latched, but never a queued STOP/ESTOP/REARM, and nothing finished is reopened.
+CREATE POLICY "Firmware updates command status" ON commands
+  FOR UPDATE TO anon
+  USING (is_device_request(device_id) AND status IN ('PENDING', 'ACKED'))
+  WITH CHECK (
+    is_device_request(device_id)
+    AND (
+      status IN ('ACKED', 'EXECUTED', 'FAILED')
+      OR (status = 'CANCELLED' AND type NOT IN ('STOP', 'ESTOP', 'REARM'))
+    )
+  );
+-- Neither side may rewrite what was sent or by whom: only the status column is writable,
+-- plus the run measurements the firmware reports with EXECUTED
+REVOKE UPDATE ON commands FROM anon, authenticated;
+GRANT UPDATE (status) ON commands TO anon, authenticated;
+GRANT UPDATE (run_ms, peak_current, mean_current, peak_fsr) ON commands TO anon;
+
+CREATE POLICY "Signed-in users read system state" ON system_state
+  FOR SELECT TO authenticated USING (true);
+-- Operators may latch the e-stop; only admins may clear it
+CREATE POLICY "Operators latch, admins re-arm" ON system_state
+  FOR UPDATE TO authenticated
+  USING (current_user_role() IN ('operator', 'admin'))
+  WITH CHECK (estop_active OR current_user_role() = 'admin');
+
+CREATE POLICY "Signed-in users read sequences" ON sequences
+  FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Operators manage sequences" ON sequences
+  FOR ALL TO authenticated
+  USING (current_user_role() IN ('operator', 'admin'))
+  WITH CHECK (current_user_role() IN ('operator', 'admin'));
+
+-- Everyone signed in can see who issued a command in the audit trail
+CREATE POLICY "Signed-in users read profiles" ON profiles
+  FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Admins manage roles" ON profiles
+  FOR UPDATE TO authenticated
+  USING (current_user_role() = 'admin') WITH CHECK (current_user_role() = 'admin');
+
+-- 9. Audit trail: every command with its issuer and the peak readings during the action.
+-- The ESP32 posts no telemetry while the motor runs, so the peaks are the ones it measured
+-- and reported with EXECUTED (NULL for commands that moved nothing). security_invoker keeps the RLS above in force.
+-- snapshot_path is the camera frame stored when a GRIP/RELEASE executed (see section 10).
+CREATE VIEW command_audit WITH (security_invoker = true) AS
+SELECT
+  c.id,
+  c.created_at,
+  c.device_id,
+  c.issued_by,
+  p.email AS issued_by_email,
+  c.session_id,
+  c.type,
+  c.value,
+  c.status,
+  c.acked_at,
+  c.completed_at,
+  c.peak_fsr,
+  c.peak_current,
+  snap.name AS snapshot_path
+FROM commands c
+LEFT JOIN profiles p ON p.id = c.issued_by
+LEFT JOIN storage.objects snap
+  ON snap.bucket_id = 'snapshots' AND snap.name = c.device_id || '/' || c.id || '.png';
+
+-- The audit trail is only worth trusting if nobody can rewrite who sent a command. The column
+-- grants above already keep dashboards and firmware to status; this also holds for roles
+-- that bypass them, such as the service role and SQL editor sessions.
+CREATE FUNCTION protect_command_issuer() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.issued_by IS DISTINCT FROM OLD.issued_by OR NEW.session_id IS DISTINCT FROM OLD.session_id THEN
+    RAISE EXCEPTION 'issued_by and session_id of command % cannot be changed', OLD.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER commands_protect_issuer
+  BEFORE UPDATE ON commands
+  FOR EACH ROW EXECUTE FUNCTION protect_command_issuer();
+
+-- 10. Camera snapshots: the dashboard that sent a GRIP/RELEASE uploads the frame seen
+-- when it executed as snapshots/<device_id>/<command id>.png
+INSERT INTO storage.buckets (id, name, public) VALUES ('snapshots', 'snapshots', FALSE);
+
+CREATE POLICY "Signed-in users read snapshots" ON storage.objects
+  FOR SELECT TO authenticated USING (bucket_id = 'snapshots');
+CREATE POLICY "Operators upload snapshots" ON storage.objects
+  FOR INSERT TO authenticated
+  WITH CHECK (bucket_id = 'snapshots' AND current_user_role() IN ('operator', 'admin'));
+
+-- 11. Grip cycles for the analytics view: every executed motion command with the run the
+-- firmware measured (see the commands table). The dashboard derives energy and time to force from run_s.
+CREATE VIEW grip_cycles WITH (security_invoker = true) AS
+SELECT
+  c.id,
+  c.created_at,
+  c.device_id,
+  c.type,
+  c.run_ms / 1000.0 AS run_s,
+  c.peak_current,
+  c.mean_current,
+  c.peak_fsr
+FROM commands c
+WHERE c.status = 'EXECUTED'
+  AND c.type IN ('GRIP', 'RELEASE', 'STEP_GRIP', 'STEP_RELEASE');
+
+-- 12. Push alerts: alarms reach operators' phones and desktops while no dashboard is open.
+-- Each browser that enables push alerts in Settings stores its Web Push subscription here;
+-- the push-alerts edge function (supabase/functions/push-alerts) sends to all of them.
+CREATE TABLE push_subscriptions (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  keys JSONB NOT NULL, -- { p256dh, auth } from PushSubscription.toJSON()
+  user_agent TEXT
+);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users manage their own push subscriptions" ON push_subscriptions
+  FOR ALL TO authenticated
+  USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+-- The database calls the edge function through pg_net; its URL and the service role key
+-- are read from Vault. Store them once (Project Settings > API):
+--   SELECT vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   SELECT vault.create_secret('<service-role-key>', 'service_role_key');
+CREATE EXTENSION IF NOT EXISTS pg_net;
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+CREATE FUNCTION send_push_alert(alert JSONB) RETURNS VOID AS $$
+BEGIN
+  PERFORM net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url') || '/functions/v1/push-alerts',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := alert
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the triggers and the schedule below may send alerts
+REVOKE EXECUTE ON FUNCTION send_push_alert(JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Low battery: once when a reading drops below 15%, re-armed only after the charge is back
+-- above 17%. Same threshold and 2-point hysteresis as the dashboard's default rule, so a
+-- reading wavering around 15% does not alert on every crossing. Only a unit holding its
+-- device key can insert telemetry (section 8), so nobody else can fire this.
+
+CREATE FUNCTION alert_low_battery() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.battery_pct < 15 THEN
+    UPDATE devices SET low_battery_alerted_at = NOW()
+    WHERE id = NEW.device_id AND low_battery_alerted_at IS NULL;
+    IF FOUND THEN
+      PERFORM send_push_alert(jsonb_build_object('kind', 'LOW_BATTERY', 'device_id', NEW.device_id, 'battery_pct', NEW.battery_pct));
+    END IF;
+  ELSIF NEW.battery_pct > 15 + 2 THEN
+    UPDATE devices SET low_battery_alerted_at = NULL
+    WHERE id = NEW.device_id AND low_battery_alerted_at IS NOT NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER telemetry_alert_low_battery
+  AFTER INSERT ON telemetry
+  FOR EACH ROW WHEN (NEW.battery_pct IS NOT NULL)
+  EXECUTE FUNCTION alert_low_battery();
+
+-- Command failure: reported by the firmware
+CREATE FUNCTION alert_command_failed() RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM send_push_alert(jsonb_build_object('kind', 'COMMAND_FAILED', 'device_id', NEW.device_id, 'command_id', NEW.id, 'type', NEW.type));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER commands_alert_failed
+  AFTER UPDATE OF status ON commands
+  FOR EACH ROW WHEN (NEW.status = 'FAILED' AND OLD.status IS DISTINCT FROM 'FAILED')
+  EXECUTE FUNCTION alert_command_failed();
 
--- 4. Disable RLS for easy testing (Enable later for security)
-ALTER TABLE telemetry DISABLE ROW LEVEL SECURITY;
-ALTER TABLE commands DISABLE ROW LEVEL SECURITY;
+-- Unit offline: a silent unit inserts nothing, so the function checks last_seen every minute
+SELECT cron.schedule('push-alerts-offline-check', '* * * * *', $$SELECT send_push_alert('{"kind": "OFFLINE_CHECK"}')$$);